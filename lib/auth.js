@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// Dashboard / API authentication primitives: password hashing, API keys,
+// in-memory sessions and a login throttle. Roles are ordered, each one includes the previous.
+const ROLES = ['viewer', 'editor', 'admin'];
+
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// "scrypt$<salt>$<hash>", base64url encoded
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// The full key is only shown once, we keep its hash and a prefix to recognize it
+function generateApiKey() {
+  const key = `pss_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, 8), hash: hashApiKey(key) };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function createSessionStore({ ttlMs = 7 * 24 * 60 * 60 * 1000 } = {}) {
+  const sessions = new Map();
+
+  function create(username) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    sessions.set(token, { username, expiresAt: Date.now() + ttlMs });
+    return token;
+  }
+
+  function get(token) {
+    const session = token ? sessions.get(token) : null;
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  function destroy(token) {
+    return sessions.delete(token);
+  }
+
+  // Log a user out everywhere (password change, user removed)
+  function destroyUser(username) {
+    for (const [token, session] of sessions) {
+      if (session.username === username) sessions.delete(token);
+    }
+  }
+
+  return { create, get, destroy, destroyUser, ttlMs };
+}
+
+// Blocks a key (ip + username) for blockMs after maxAttempts failures within windowMs
+function createLoginLimiter({ maxAttempts = 5, windowMs = 15 * 60 * 1000, blockMs = 15 * 60 * 1000 } = {}) {
+  const attempts = new Map();
+
+  function retryAfterMs(key) {
+    const entry = attempts.get(key);
+    if (!entry?.blockedUntil) return 0;
+    const remaining = entry.blockedUntil - Date.now();
+    if (remaining <= 0) {
+      attempts.delete(key);
+      return 0;
+    }
+    return remaining;
+  }
+
+  function fail(key) {
+    const now = Date.now();
+    const entry = attempts.get(key);
+    const current = entry && now - entry.firstAt < windowMs ? entry : { count: 0, firstAt: now };
+    current.count++;
+    if (current.count >= maxAttempts) current.blockedUntil = now + blockMs;
+    attempts.set(key, current);
+  }
+
+  function reset(key) {
+    attempts.delete(key);
+  }
+
+  return { retryAfterMs, fail, reset };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  hashApiKey,
+  generateApiKey,
+  safeEqual,
+  createSessionStore,
+  createLoginLimiter
+};
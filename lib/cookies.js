@@ -0,0 +1,81 @@
+// Cookie jar helpers for the raven "Cookie" header (access_token, refresh_token, ...)
+
+// "a=1; b=2" -> { a: '1', b: '2' } (insertion order is kept when serializing back)
+function parseCookieHeader(header) {
+  const jar = {};
+  if (!header) return jar;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.substring(0, index).trim();
+    if (name) jar[name] = part.substring(index + 1).trim();
+  }
+  return jar;
+}
+
+function serializeCookies(jar) {
+  return Object.entries(jar)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('; ');
+}
+
+// Merge Set-Cookie response headers into a jar. Returns the names that changed.
+function applySetCookie(jar, setCookieHeaders) {
+  const changed = [];
+  const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : (setCookieHeaders ? [setCookieHeaders] : []);
+
+  for (const header of headers) {
+    const [pair, ...attributes] = header.split(';');
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+
+    const name = pair.substring(0, index).trim();
+    const value = pair.substring(index + 1).trim();
+    const expired = attributes.some(attr => {
+      const [key, val] = attr.split('=').map(v => v && v.trim());
+      if (!key) return false;
+      if (key.toLowerCase() === 'max-age') return parseInt(val, 10) <= 0;
+      if (key.toLowerCase() === 'expires') return Date.parse(val) < Date.now();
+      return false;
+    });
+
+    if (expired || value === '' || value === 'deleted') {
+      if (name in jar) {
+        delete jar[name];
+        changed.push(name);
+      }
+    } else if (jar[name] !== value) {
+      jar[name] = value;
+      changed.push(name);
+    }
+  }
+  return changed;
+}
+
+// Decode a JWT payload without verifying it, null if the value is not a JWT
+function decodeJwt(token) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const parts = decodeURIComponent(token).split('.');
+    if (parts.length !== 3) return null;
+    const payload = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Expiry of a JWT in ms since epoch, null if unknown
+function getJwtExpiry(token) {
+  const payload = decodeJwt(token);
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+module.exports = {
+  parseCookieHeader,
+  serializeCookies,
+  applySetCookie,
+  decodeJwt,
+  getJwtExpiry
+};
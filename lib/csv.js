@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV helpers for the watchlist import / export.
+// Parsing accepts ',' or ';' (spreadsheets with a French locale export with ';').
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value.toString();
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return header.split(';').length > header.split(',').length ? ';' : ',';
+}
+
+// Rows as arrays of strings, quoted cells may contain delimiters and line breaks
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Objects keyed by the header row
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const [header, ...rows] = parseRows(content, detectDelimiter(content));
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (cells[index] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = { toCsv, parseCsv };
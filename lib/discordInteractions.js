@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Discord interactions (slash commands and buttons) received over HTTP.
+// Discord signs every request with the application's Ed25519 key: the signature covers the
+// X-Signature-Timestamp header followed by the raw body.
+
+const INTERACTION_TYPES = {
+  PING: 1,
+  APPLICATION_COMMAND: 2,
+  MESSAGE_COMPONENT: 3,
+  AUTOCOMPLETE: 4
+};
+
+const RESPONSE_TYPES = {
+  PONG: 1,
+  CHANNEL_MESSAGE: 4,
+  DEFERRED_CHANNEL_MESSAGE: 5,
+  AUTOCOMPLETE_RESULT: 8
+};
+
+// Only visible to the user who ran the command
+const EPHEMERAL = 64;
+
+const OPTION_TYPES = { STRING: 3 };
+
+const BUTTON_STYLES = { primary: 1, secondary: 2, success: 3, danger: 4 };
+
+// Raw 32 byte public keys (as shown in the developer portal) are wrapped in an SPKI header
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Requests older than this are refused, a captured request cannot be replayed later
+const MAX_TIMESTAMP_SKEW_MS = 5 * 60 * 1000;
+
+function createInteractionVerifier(publicKeyHex) {
+  if (!/^[0-9a-f]{64}$/i.test(publicKeyHex || '')) return null;
+
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyHex, 'hex')]),
+    format: 'der',
+    type: 'spki'
+  });
+
+  function verify(signature, timestamp, rawBody, now = Date.now()) {
+    if (!signature || !timestamp || !rawBody || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+    if (Math.abs(now - Number(timestamp) * 1000) > MAX_TIMESTAMP_SKEW_MS) return false;
+
+    try {
+      return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), key, Buffer.from(signature, 'hex'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return { verify };
+}
+
+// Slash commands as registered with Discord (PUT /applications/:id/commands)
+const SLASH_COMMANDS = [
+  {
+    name: 'watch',
+    description: 'Surveiller un produit',
+    options: [
+      { type: OPTION_TYPES.STRING, name: 'url', description: 'URL ou ID du produit', required: true },
+      { type: OPTION_TYPES.STRING, name: 'sizes', description: 'Tailles, séparées par des virgules (profil de tailles sinon)' }
+    ]
+  },
+  {
+    name: 'unwatch',
+    description: 'Arrêter de surveiller un produit',
+    options: [{ type: OPTION_TYPES.STRING, name: 'product', description: 'Produit surveillé', required: true, autocomplete: true }]
+  },
+  {
+    name: 'list',
+    description: 'Produits surveillés'
+  },
+  {
+    name: 'reset',
+    description: 'Ré-autoriser les alertes d\'un produit',
+    options: [{ type: OPTION_TYPES.STRING, name: 'product', description: 'Produit surveillé', required: true, autocomplete: true }]
+  },
+  {
+    name: 'cart',
+    description: 'Contenu du panier',
+    options: [
+      { type: OPTION_TYPES.STRING, name: 'account', description: 'Compte PSS', autocomplete: true },
+      { type: OPTION_TYPES.STRING, name: 'store', description: 'Boutique (fr, es, it, de, uk)' }
+    ]
+  }
+];
+
+// { name: value } of the command options, plus the option being typed for autocomplete
+function getCommandOptions(interaction) {
+  const options = {};
+  let focused = null;
+  for (const option of interaction.data?.options || []) {
+    options[option.name] = option.value;
+    if (option.focused) focused = option.name;
+  }
+  return { options, focused };
+}
+
+// Button ids are "pss:<action>:<arg>:<arg>", at most 100 characters
+const CUSTOM_ID_PREFIX = 'pss';
+
+function encodeCustomId(action, ...args) {
+  return [CUSTOM_ID_PREFIX, action, ...args.map(arg => encodeURIComponent(arg))].join(':').slice(0, 100);
+}
+
+// null for an id that is not ours, or that does not decode (a truncated % sequence...)
+function decodeCustomId(customId) {
+  const [prefix, action, ...args] = (customId || '').split(':');
+  if (prefix !== CUSTOM_ID_PREFIX || !action) return null;
+  try {
+    return { action, args: args.map(arg => decodeURIComponent(arg)) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// User id of the interaction, in a server (member.user) or in DMs (user)
+function getInteractionUser(interaction) {
+  const user = interaction.member?.user || interaction.user || {};
+  return { id: user.id || null, name: user.global_name || user.username || null, roles: interaction.member?.roles || [] };
+}
+
+module.exports = {
+  INTERACTION_TYPES,
+  RESPONSE_TYPES,
+  EPHEMERAL,
+  BUTTON_STYLES,
+  SLASH_COMMANDS,
+  createInteractionVerifier,
+  getCommandOptions,
+  encodeCustomId,
+  decodeCustomId,
+  getInteractionUser
+};
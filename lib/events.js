@@ -0,0 +1,75 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus feeding the dashboard stream.
+// Keeps the last events in memory so a reconnecting client can resume from Last-Event-ID.
+// sanitize runs on every payload before it is buffered (used to redact secrets).
+function createEventBus({ bufferSize = 200, sanitize = data => data } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  const buffer = [];
+  let lastId = 0;
+
+  function publish(type, data = {}) {
+    const event = {
+      id: ++lastId,
+      type,
+      at: new Date().toISOString(),
+      data: sanitize(data)
+    };
+
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    emitter.emit('event', event);
+    return event;
+  }
+
+  function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  function since(id) {
+    return buffer.filter(event => event.id > id);
+  }
+
+  function recent(limit = 50) {
+    return buffer.slice(-limit);
+  }
+
+  return { publish, subscribe, since, recent };
+}
+
+// Express handler streaming bus events as Server-Sent Events
+function createEventStreamHandler(bus, { heartbeatMs = 25000 } = {}) {
+  return (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Disable proxy buffering (nginx)
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const lastEventId = parseInt(req.headers['last-event-id'], 10);
+    if (!isNaN(lastEventId)) {
+      bus.since(lastEventId).forEach(send);
+    }
+
+    const unsubscribe = bus.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  };
+}
+
+module.exports = { createEventBus, createEventStreamHandler };
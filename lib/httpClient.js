@@ -0,0 +1,250 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+// Outbound connections to raven: keep-alive agents, optionally through an HTTP or HTTPS proxy
+// (CONNECT tunnel, also for plain http targets), and a pool of proxies used in turn.
+
+function parseProxyUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) return null;
+    return url;
+  } catch (error) {
+    return null;
+  }
+}
+
+// host:port without the credentials, for logs and the dashboard
+function proxyLabel(value) {
+  const url = parseProxyUrl(value);
+  if (!url) return null;
+  return `${url.protocol}//${url.hostname}:${url.port || (url.protocol === 'https:' ? 443 : 80)}`;
+}
+
+function tunnelError(message, proxyUrl, cause) {
+  const error = new Error(`Proxy ${proxyLabel(proxyUrl)}: ${message}`);
+  error.code = cause?.code || 'EPROXY';
+  error.proxy = proxyLabel(proxyUrl);
+  if (cause) error.cause = cause;
+  return error;
+}
+
+// Opens a raw socket to host:port through the proxy
+function openTunnel(proxyUrl, host, port, { timeoutMs = 15000 } = {}, callback) {
+  const proxy = parseProxyUrl(proxyUrl);
+  if (!proxy) return callback(new Error('Invalid proxy URL'));
+
+  const headers = { Host: `${host}:${port}` };
+  if (proxy.username) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  let done = false;
+  const finish = (error, socket) => {
+    if (done) return;
+    done = true;
+    callback(error, socket);
+  };
+
+  const req = (proxy.protocol === 'https:' ? https : http).request({
+    hostname: proxy.hostname,
+    port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+    method: 'CONNECT',
+    path: `${host}:${port}`,
+    headers,
+    agent: false
+  });
+
+  req.once('connect', (res, socket) => {
+    if (res.statusCode !== 200) {
+      socket.destroy();
+      return finish(tunnelError(`CONNECT answered HTTP ${res.statusCode}`, proxyUrl));
+    }
+    finish(null, socket);
+  });
+  req.once('error', error => finish(tunnelError(error.message, proxyUrl, error)));
+  req.setTimeout(timeoutMs, () => {
+    req.destroy();
+    finish(tunnelError('CONNECT timeout', proxyUrl, { code: 'ETIMEDOUT' }));
+  });
+  req.end();
+}
+
+function createAgent({ secure, proxyUrl = null, maxSockets, keepAliveMs, timeoutMs }) {
+  const agent = new (secure ? https : http).Agent({ keepAlive: true, keepAliveMsecs: keepAliveMs, maxSockets });
+  if (!proxyUrl) return agent;
+
+  // The agent keeps tunnelled sockets alive like direct ones
+  agent.createConnection = (options, callback) => {
+    openTunnel(proxyUrl, options.host, options.port, { timeoutMs }, (error, socket) => {
+      if (error) return callback(error);
+      if (!secure) return callback(null, socket);
+
+      const tlsSocket = tls.connect({
+        socket,
+        servername: options.servername || options.host,
+        rejectUnauthorized: options.rejectUnauthorized
+      });
+      tlsSocket.once('secureConnect', () => callback(null, tlsSocket));
+      tlsSocket.once('error', tlsError => callback(tunnelError(tlsError.message, proxyUrl, tlsError)));
+    });
+  };
+  return agent;
+}
+
+// One agent per target protocol and proxy
+function createHttpClient({ maxSockets = 10, keepAliveMs = 30000, timeoutMs = 15000 } = {}) {
+  const agents = new Map();
+
+  function agentFor(targetUrl, proxyUrl = null) {
+    const secure = new URL(targetUrl).protocol === 'https:';
+    const key = `${secure ? 'https' : 'http'} ${proxyUrl || 'direct'}`;
+    if (!agents.has(key)) {
+      agents.set(key, createAgent({ secure, proxyUrl, maxSockets, keepAliveMs, timeoutMs }));
+    }
+    return agents.get(key);
+  }
+
+  // Resolves with the time taken to open a tunnel to the target through the proxy
+  function checkProxy(proxyUrl, targetUrl) {
+    const target = new URL(targetUrl);
+    const port = target.port || (target.protocol === 'https:' ? 443 : 80);
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      openTunnel(proxyUrl, target.hostname, port, { timeoutMs }, (error, socket) => {
+        if (error) return reject(error);
+        socket.destroy();
+        resolve(Date.now() - startedAt);
+      });
+    });
+  }
+
+  // Drops the agents of a proxy no longer used (and its idle sockets)
+  function forget(proxyUrl) {
+    for (const [key, agent] of agents) {
+      if (key.endsWith(` ${proxyUrl}`)) {
+        agent.destroy();
+        agents.delete(key);
+      }
+    }
+  }
+
+  function destroy() {
+    for (const agent of agents.values()) agent.destroy();
+    agents.clear();
+  }
+
+  return { agentFor, checkProxy, forget, destroy };
+}
+
+// Proxies used in turn. `failureThreshold` failed requests in a row take a proxy out of the
+// rotation until a health check succeeds.
+function createProxyPool({ failureThreshold = 3 } = {}) {
+  const proxies = new Map();
+  let cursor = 0;
+
+  // [{ id, url, enabled }], the state of proxies already known is kept.
+  // Returns the URLs no longer used.
+  function set(list) {
+    const previousUrls = Array.from(proxies.values(), proxy => proxy.url);
+    const next = new Map();
+    for (const { id, url, enabled = true } of list) {
+      const existing = proxies.get(id);
+      next.set(id, existing && existing.url === url
+        ? { ...existing, enabled }
+        : { id, url, enabled, healthy: true, failures: 0, lastError: null, lastCheckedAt: null, latencyMs: null, requests: 0 });
+    }
+    proxies.clear();
+    for (const [id, proxy] of next) proxies.set(id, proxy);
+    return previousUrls.filter(url => !list.some(proxy => proxy.url === url));
+  }
+
+  function inRotation() {
+    return Array.from(proxies.values()).filter(proxy => proxy.enabled && proxy.healthy);
+  }
+
+  function next() {
+    const available = inRotation();
+    if (available.length === 0) return null;
+    const proxy = available[cursor++ % available.length];
+    proxy.requests++;
+    return proxy;
+  }
+
+  function find(url) {
+    return Array.from(proxies.values()).find(proxy => proxy.url === url) || null;
+  }
+
+  function reportSuccess(url) {
+    const proxy = find(url);
+    if (!proxy) return;
+    proxy.failures = 0;
+    proxy.lastError = null;
+  }
+
+  // Returns true when the proxy just left the rotation
+  function reportFailure(url, error) {
+    const proxy = find(url);
+    if (!proxy) return false;
+    proxy.failures++;
+    proxy.lastError = error.message;
+    if (proxy.healthy && proxy.failures >= failureThreshold) {
+      proxy.healthy = false;
+      return true;
+    }
+    return false;
+  }
+
+  // check(url) resolves with a latency or rejects; returns the proxies whose state changed
+  async function checkHealth(check) {
+    const changed = [];
+    for (const proxy of proxies.values()) {
+      if (!proxy.enabled) continue;
+      const wasHealthy = proxy.healthy;
+      try {
+        proxy.latencyMs = await check(proxy.url);
+        proxy.healthy = true;
+        proxy.failures = 0;
+        proxy.lastError = null;
+      } catch (error) {
+        proxy.healthy = false;
+        proxy.latencyMs = null;
+        proxy.lastError = error.message;
+      }
+      proxy.lastCheckedAt = new Date().toISOString();
+      if (proxy.healthy !== wasHealthy) changed.push(proxy);
+    }
+    return changed;
+  }
+
+  function describe() {
+    return Array.from(proxies.values()).map(proxy => ({
+      id: proxy.id,
+      proxy: proxyLabel(proxy.url),
+      enabled: proxy.enabled,
+      healthy: proxy.healthy,
+      inRotation: proxy.enabled && proxy.healthy,
+      failures: proxy.failures,
+      requests: proxy.requests,
+      latencyMs: proxy.latencyMs,
+      lastError: proxy.lastError,
+      lastCheckedAt: proxy.lastCheckedAt
+    }));
+  }
+
+  return {
+    set,
+    next,
+    reportSuccess,
+    reportFailure,
+    checkHealth,
+    describe,
+    size: () => proxies.size,
+    inRotation: () => inRotation().length
+  };
+}
+
+module.exports = { createHttpClient, createProxyPool, parseProxyUrl, proxyLabel };
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only event journal (one JSON entry per line).
+// The newest maxEntries are kept in memory for queries; the file is compacted
+// once it holds half as many lines again.
+function createJournal({ filePath, maxEntries = 10000 }) {
+  let entries = [];
+  let lastId = 0;
+  let fileLines = 0;
+  let writeChain = Promise.resolve();
+
+  async function load() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const lines = raw.split('\n').filter(Boolean);
+    const loaded = [];
+    for (const line of lines) {
+      try {
+        loaded.push(JSON.parse(line));
+      } catch (error) {
+        // Line cut by a crash, skip it
+      }
+    }
+
+    entries = loaded.slice(-maxEntries);
+    lastId = loaded.reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+    fileLines = lines.length;
+    return entries.length;
+  }
+
+  function write(task) {
+    writeChain = writeChain.then(task).catch(error => {
+      console.error('Failed to write event journal:', error.message);
+    });
+    return writeChain;
+  }
+
+  async function compact() {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+    fileLines = entries.length;
+  }
+
+  function append(entry) {
+    const saved = { id: ++lastId, at: new Date().toISOString(), ...entry };
+    entries.push(saved);
+    if (entries.length > maxEntries) entries.shift();
+
+    write(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, JSON.stringify(saved) + '\n', 'utf8');
+      fileLines++;
+      if (fileLines > maxEntries * 1.5) await compact();
+    });
+    return saved;
+  }
+
+  // "stock.changed" matches exactly, "cart.*" matches every cart event
+  function matchesType(type, filters) {
+    return filters.some(filter => filter.endsWith('.*')
+      ? type.startsWith(filter.slice(0, -1))
+      : type === filter);
+  }
+
+  // Newest first. Filters: types[], productId, size, outcome, since / until (ms), q (free text)
+  function query({ types = [], productId, size, outcome, since, until, q, page = 1, limit = 50 } = {}) {
+    const text = q ? q.toLowerCase() : null;
+    const matching = entries.filter(entry => {
+      if (types.length > 0 && !matchesType(entry.type, types)) return false;
+      if (productId && entry.productId !== productId) return false;
+      if (size && !(entry.size || '').toLowerCase().split(', ').includes(size.toLowerCase())) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+      const at = Date.parse(entry.at);
+      if (since && at < since) return false;
+      if (until && at > until) return false;
+      if (text && !JSON.stringify(entry).toLowerCase().includes(text)) return false;
+      return true;
+    }).reverse();
+
+    const start = (page - 1) * limit;
+    return {
+      entries: matching.slice(start, start + limit),
+      total: matching.length,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(matching.length / limit))
+    };
+  }
+
+  return {
+    location: filePath,
+    load,
+    append,
+    query,
+    flush: () => writeChain,
+    size: () => entries.length
+  };
+}
+
+module.exports = { createJournal };
@@ -0,0 +1,114 @@
+// Minimal Prometheus registry: counters, gauges and histograms rendered in the text exposition format.
+// Gauges can take a collect() callback that sets their values right before each scrape.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, extra = {}) {
+    const metric = { type, name: prefix + name, help, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function getSeries(metric, labels, create) {
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+    return metric.series.get(key);
+  }
+
+  function counter(name, help) {
+    const metric = register('counter', name, help);
+    return {
+      inc(labels = {}, value = 1) {
+        getSeries(metric, labels, () => ({ value: 0 })).value += value;
+      }
+    };
+  }
+
+  function gauge(name, help, { collect } = {}) {
+    const metric = register('gauge', name, help, { collect });
+    const api = {
+      set(labels = {}, value) {
+        getSeries(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      // Drop every series (collect() rebuilds them, e.g. one per account)
+      reset() {
+        metric.series.clear();
+      }
+    };
+    metric.api = api;
+    return api;
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const metric = register('histogram', name, help, { buckets });
+
+    function observe(labels = {}, value) {
+      const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+
+    // Returns a function that records the elapsed seconds when called
+    function startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    }
+
+    return { observe, startTimer };
+  }
+
+  function render() {
+    const lines = [];
+
+    for (const metric of metrics) {
+      if (metric.collect) metric.collect(metric.api);
+
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetricsRegistry };
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+// Outbound notification queue.
+// Each notifier gets its own FIFO so a throttled channel never delays the others,
+// and a failing message blocks the ones behind it on the same channel to keep order.
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (timer.unref) timer.unref();
+  });
+}
+
+// Network errors, timeouts, 408/429/5xx and temporary SMTP errors are worth retrying
+function isRetryable(error) {
+  if (error.permanent) return false;
+  if (error.statusCode) {
+    return error.statusCode === 408 || error.statusCode === 429 || error.statusCode >= 500;
+  }
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return true;
+}
+
+// Delay requested by the remote side, in ms (Retry-After header, Discord / Telegram JSON bodies)
+function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+  const retryAfter = headers['retry-after'];
+
+  if (retryAfter !== undefined) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  if (headers['x-ratelimit-reset-after'] !== undefined && error.statusCode === 429) {
+    const seconds = parseFloat(headers['x-ratelimit-reset-after']);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  }
+
+  if (error.body) {
+    try {
+      const body = JSON.parse(error.body);
+      const seconds = body.retry_after ?? body.parameters?.retry_after;
+      if (seconds !== undefined && !isNaN(parseFloat(seconds))) return Math.max(0, parseFloat(seconds) * 1000);
+    } catch (e) {
+      // Not JSON
+    }
+  }
+
+  return null;
+}
+
+function createNotificationQueue({
+  send,
+  onEvent = () => {},
+  maxAttempts = 6,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  maxDeadLetters = 200
+}) {
+  const queues = new Map();
+  const running = new Set();
+  let deadLetters = [];
+  const stats = { sent: 0, retried: 0, failed: 0 };
+
+  function backoffDelay(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempts - 1));
+    // +/- 20% jitter so channels don't retry in lockstep
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  function enqueue({ notifierId, notifierName, notifierType, alertType, message }) {
+    const job = {
+      id: crypto.randomUUID(),
+      notifierId,
+      notifierName,
+      notifierType,
+      alertType,
+      message,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      lastError: null
+    };
+
+    if (!queues.has(notifierId)) queues.set(notifierId, []);
+    queues.get(notifierId).push(job);
+    onEvent('queued', job);
+    run(notifierId);
+    return job;
+  }
+
+  function moveToDeadLetters(job) {
+    stats.failed++;
+    deadLetters.unshift({ ...job, failedAt: new Date().toISOString() });
+    if (deadLetters.length > maxDeadLetters) {
+      deadLetters = deadLetters.slice(0, maxDeadLetters);
+    }
+    onEvent('deadLetter', job);
+  }
+
+  async function run(notifierId) {
+    if (running.has(notifierId)) return;
+    running.add(notifierId);
+
+    try {
+      const jobs = queues.get(notifierId) || [];
+      while (jobs.length > 0) {
+        const job = jobs[0];
+        const wait = job.nextAttemptAt - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        job.attempts++;
+        try {
+          await send(job);
+          jobs.shift();
+          stats.sent++;
+          onEvent('sent', job);
+        } catch (error) {
+          job.lastError = error.message;
+          if (isRetryable(error) && job.attempts < maxAttempts) {
+            const retryAfter = getRetryAfterMs(error);
+            const delay = retryAfter !== null ? retryAfter : backoffDelay(job.attempts);
+            job.nextAttemptAt = Date.now() + delay;
+            stats.retried++;
+            onEvent('retry', job, { delay, error });
+          } else {
+            jobs.shift();
+            moveToDeadLetters(job);
+          }
+        }
+      }
+      queues.delete(notifierId);
+    } finally {
+      running.delete(notifierId);
+    }
+  }
+
+  function getPending() {
+    return Array.from(queues.values()).flat();
+  }
+
+  function getDeadLetters() {
+    return deadLetters;
+  }
+
+  // Put a dead letter back at the end of its channel queue with a fresh attempt budget
+  function resend(id) {
+    const job = deadLetters.find(item => item.id === id);
+    if (!job) return null;
+
+    deadLetters = deadLetters.filter(item => item.id !== id);
+    const { failedAt, ...rest } = job;
+    const retried = { ...rest, attempts: 0, nextAttemptAt: Date.now(), lastError: null };
+
+    if (!queues.has(retried.notifierId)) queues.set(retried.notifierId, []);
+    queues.get(retried.notifierId).push(retried);
+    onEvent('queued', retried);
+    run(retried.notifierId);
+    return retried;
+  }
+
+  function removeDeadLetter(id) {
+    const before = deadLetters.length;
+    deadLetters = deadLetters.filter(item => item.id !== id);
+    return deadLetters.length !== before;
+  }
+
+  function clearDeadLetters() {
+    deadLetters = [];
+  }
+
+  function snapshot() {
+    return { pending: getPending(), deadLetters };
+  }
+
+  // Reload a snapshot saved by a previous process; pending jobs are sent again
+  function restore(saved) {
+    if (!saved) return;
+    deadLetters = (saved.deadLetters || []).slice(0, maxDeadLetters);
+    for (const job of saved.pending || []) {
+      if (!queues.has(job.notifierId)) queues.set(job.notifierId, []);
+      queues.get(job.notifierId).push({ ...job, nextAttemptAt: Date.now() });
+    }
+    for (const notifierId of queues.keys()) {
+      run(notifierId);
+    }
+  }
+
+  return {
+    enqueue,
+    getPending,
+    getDeadLetters,
+    resend,
+    removeDeadLetter,
+    clearDeadLetters,
+    snapshot,
+    restore,
+    stats
+  };
+}
+
+module.exports = {
+  createNotificationQueue,
+  isRetryable,
+  getRetryAfterMs
+};
@@ -0,0 +1,57 @@
+const { postRequest } = require('./http');
+const { BUTTON_STYLES } = require('../discordInteractions');
+
+module.exports = {
+  type: 'discord',
+  label: 'Discord',
+  fields: [
+    { name: 'webhookUrl', label: 'Webhook URL', required: true, secret: true },
+    { name: 'username', label: 'Nom du bot' }
+  ],
+
+  async send(message, settings) {
+    const description = [message.subtitle ? `**${message.subtitle}**` : null, message.description]
+      .filter(Boolean)
+      .join('\n');
+
+    const embed = {
+      title: message.title,
+      description: description || undefined,
+      color: message.color,
+      fields: (message.fields || []).map(field => ({
+        name: field.name,
+        // Discord renders <t:unix:R> as a live relative countdown
+        value: field.countdownTo
+          ? `<t:${Math.floor(new Date(field.countdownTo).getTime() / 1000)}:R> (${field.value})`
+          : String(field.value),
+        inline: field.inline !== false
+      })),
+      thumbnail: message.imageUrl ? { url: message.imageUrl } : undefined,
+      timestamp: message.timestamp,
+      footer: { text: 'PrivateSportShop Stock Monitor' }
+    };
+
+    for (const link of message.links || []) {
+      embed.fields.push({ name: link.label, value: `[${link.text || link.label}](${link.url})`, inline: true });
+    }
+
+    const body = {
+      username: settings.username || 'PSS Stock Monitor',
+      embeds: [embed]
+    };
+    // Discord drops the buttons unless the webhook belongs to the interactions application
+    if (message.buttons?.length > 0) {
+      body.components = [{
+        type: 1,
+        components: message.buttons.slice(0, 5).map(button => ({
+          type: 2,
+          style: BUTTON_STYLES[button.style] || BUTTON_STYLES.secondary,
+          label: button.label,
+          custom_id: button.id
+        }))
+      }];
+    }
+
+    return postRequest(settings.webhookUrl, body);
+  }
+};
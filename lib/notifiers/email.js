@@ -0,0 +1,43 @@
+const { toPlainText, toHtml } = require('./format');
+
+// Transports are cached per SMTP settings so connections get reused
+const transports = new Map();
+
+function getTransport(settings) {
+  const cacheKey = JSON.stringify([settings.host, settings.port, settings.secure, settings.user, settings.pass]);
+  if (!transports.has(cacheKey)) {
+    const nodemailer = require('nodemailer');
+    const port = parseInt(settings.port, 10) || 587;
+    transports.set(cacheKey, nodemailer.createTransport({
+      host: settings.host,
+      port,
+      secure: settings.secure === true || settings.secure === 'true' || port === 465,
+      auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined
+    }));
+  }
+  return transports.get(cacheKey);
+}
+
+module.exports = {
+  type: 'email',
+  label: 'Email (SMTP)',
+  fields: [
+    { name: 'host', label: 'Serveur SMTP', required: true },
+    { name: 'port', label: 'Port (défaut 587)' },
+    { name: 'secure', label: 'TLS direct (true/false)' },
+    { name: 'user', label: 'Utilisateur' },
+    { name: 'pass', label: 'Mot de passe', secret: true },
+    { name: 'from', label: 'Expéditeur', required: true },
+    { name: 'to', label: 'Destinataire(s)', required: true }
+  ],
+
+  async send(message, settings) {
+    return getTransport(settings).sendMail({
+      from: settings.from,
+      to: settings.to,
+      subject: message.title,
+      text: toPlainText(message),
+      html: toHtml(message, { lineBreak: '<br>' })
+    });
+  }
+};
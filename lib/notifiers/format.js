@@ -0,0 +1,65 @@
+// Channel independent message model shared by every notifier:
+// { type, title, subtitle, description, color, imageUrl, url, fields: [{ name, value, inline }], links: [{ label, url }], data, timestamp }
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toPlainText(message) {
+  const lines = [];
+  if (message.subtitle) lines.push(message.subtitle);
+  if (message.description) lines.push(message.description);
+  if (lines.length) lines.push('');
+
+  for (const field of message.fields || []) {
+    lines.push(`${field.name}: ${field.value}`);
+  }
+  for (const link of message.links || []) {
+    lines.push(`${link.text || link.label}: ${link.url}`);
+  }
+  return lines.join('\n').trim();
+}
+
+// Subset of HTML understood by Telegram and mail clients alike
+function toHtml(message, { lineBreak = '\n' } = {}) {
+  const lines = [`<b>${escapeHtml(message.title)}</b>`];
+  if (message.subtitle) lines.push(`<i>${escapeHtml(message.subtitle)}</i>`);
+  if (message.description) lines.push(escapeHtml(message.description));
+  lines.push('');
+
+  for (const field of message.fields || []) {
+    lines.push(`<b>${escapeHtml(field.name)}</b>: ${escapeHtml(field.value)}`);
+  }
+  const links = (message.links || []).map(link => `<a href="${escapeHtml(link.url)}">${escapeHtml(link.text || link.label)}</a>`);
+  if (links.length) {
+    lines.push('');
+    lines.push(links.join(' | '));
+  }
+  return lines.join(lineBreak);
+}
+
+function toJson(message) {
+  return {
+    event: message.type,
+    title: message.title,
+    subtitle: message.subtitle || null,
+    description: message.description || null,
+    url: message.url || null,
+    imageUrl: message.imageUrl || null,
+    fields: (message.fields || []).map(({ name, value }) => ({ name, value })),
+    links: message.links || [],
+    data: message.data || {},
+    timestamp: message.timestamp
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  toPlainText,
+  toHtml,
+  toJson
+};
@@ -0,0 +1,52 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal JSON/text request used by every HTTP based channel.
+// Resolves with { statusCode, headers, body }, rejects on network errors and HTTP >= 400.
+function sendRequest(method, targetUrl, body, extraHeaders = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(targetUrl);
+    const transport = url.protocol === 'http:' ? http : https;
+    const postData = typeof body === 'string' ? body : JSON.stringify(body);
+
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: url.pathname + url.search,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...extraHeaders,
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const responseBody = Buffer.concat(chunks).toString('utf8');
+        if (res.statusCode >= 400) {
+          const error = new Error(`HTTP ${res.statusCode}: ${responseBody.substring(0, 200)}`);
+          error.statusCode = res.statusCode;
+          error.headers = res.headers;
+          error.body = responseBody;
+          reject(error);
+          return;
+        }
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: responseBody });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy(new Error('Request timeout'));
+    });
+    req.write(postData);
+    req.end();
+  });
+}
+
+function postRequest(targetUrl, body, extraHeaders = {}) {
+  return sendRequest('POST', targetUrl, body, extraHeaders);
+}
+
+module.exports = { sendRequest, postRequest };
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { maskSecret, isMaskedSecret } = require('../secrets');
+const discord = require('./discord');
+const telegram = require('./telegram');
+const ntfy = require('./ntfy');
+const webhook = require('./webhook');
+const email = require('./email');
+
+const CHANNELS = {
+  [discord.type]: discord,
+  [telegram.type]: telegram,
+  [ntfy.type]: ntfy,
+  [webhook.type]: webhook,
+  [email.type]: email
+};
+
+// Alert types a notifier can subscribe to
+const ALERT_TYPES = {
+  restock: 'Restock / ajout panier',
+  priceDrop: 'Baisse de prix',
+  tokenExpired: 'Token expiré',
+  reservationReminder: 'Réservation panier',
+  catalogMatch: 'Nouveau produit (veille catalogue)',
+  productArchived: 'Produit retiré / vente terminée'
+};
+
+function getChannel(type) {
+  return CHANNELS[type] || null;
+}
+
+// Names of the settings holding credentials (webhook URLs, tokens, passwords)
+function getSecretFields(type) {
+  const channel = getChannel(type);
+  return channel ? channel.fields.filter(field => field.secret).map(field => field.name) : [];
+}
+
+function describeChannels() {
+  return Object.values(CHANNELS).map(channel => ({
+    type: channel.type,
+    label: channel.label,
+    fields: channel.fields
+  }));
+}
+
+// Validate and normalize a notifier definition coming from the API.
+// Returns { notifier } or { error }.
+function normalizeNotifier(input, existing = null) {
+  const type = input.type || existing?.type;
+  const channel = getChannel(type);
+  if (!channel) {
+    return { error: `Unknown notifier type: ${type}` };
+  }
+
+  const settings = {};
+  const inputSettings = input.settings || {};
+  for (const field of channel.fields) {
+    const inputValue = isMaskedSecret(inputSettings[field.name]) ? undefined : inputSettings[field.name];
+    const value = inputValue !== undefined ? inputValue : existing?.settings?.[field.name];
+    if (value !== undefined && value !== null && value !== '') {
+      settings[field.name] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  const missing = channel.fields.filter(field => field.required && !settings[field.name]);
+  if (missing.length > 0) {
+    return { error: `Missing ${channel.label} settings: ${missing.map(field => field.name).join(', ')}` };
+  }
+
+  const events = Array.isArray(input.events)
+    ? input.events.filter(event => ALERT_TYPES[event])
+    : (existing?.events || Object.keys(ALERT_TYPES));
+
+  return {
+    notifier: {
+      id: existing?.id || input.id || crypto.randomUUID(),
+      type,
+      name: input.name || existing?.name || channel.label,
+      enabled: input.enabled !== undefined ? !!input.enabled : (existing ? existing.enabled : true),
+      events,
+      settings
+    }
+  };
+}
+
+// API view of a notifier, secret settings only show their last characters
+function describeNotifier(notifier) {
+  const settings = { ...notifier.settings };
+  for (const name of getSecretFields(notifier.type)) {
+    if (settings[name]) settings[name] = maskSecret(settings[name]);
+  }
+  return { ...notifier, settings };
+}
+
+async function sendWithNotifier(notifier, message) {
+  const channel = getChannel(notifier.type);
+  if (!channel) {
+    throw new Error(`Unknown notifier type: ${notifier.type}`);
+  }
+  return channel.send(message, notifier.settings || {});
+}
+
+module.exports = {
+  ALERT_TYPES,
+  getChannel,
+  getSecretFields,
+  describeChannels,
+  describeNotifier,
+  normalizeNotifier,
+  sendWithNotifier
+};
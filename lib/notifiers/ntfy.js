@@ -0,0 +1,29 @@
+const { postRequest } = require('./http');
+const { toPlainText } = require('./format');
+
+// ntfy JSON publishing: the topic goes in the body and the request hits the server root
+module.exports = {
+  type: 'ntfy',
+  label: 'ntfy',
+  fields: [
+    { name: 'server', label: 'Serveur (défaut https://ntfy.sh)' },
+    { name: 'topic', label: 'Topic', required: true },
+    { name: 'token', label: 'Access token', secret: true },
+    { name: 'priority', label: 'Priorité (1-5)' }
+  ],
+
+  async send(message, settings) {
+    const server = (settings.server || 'https://ntfy.sh').replace(/\/+$/, '');
+    const headers = settings.token ? { Authorization: `Bearer ${settings.token}` } : {};
+
+    return postRequest(`${server}/`, {
+      topic: settings.topic,
+      title: message.title,
+      message: toPlainText(message),
+      priority: parseInt(settings.priority, 10) || (message.priority === 'high' ? 5 : 3),
+      click: message.url || undefined,
+      attach: message.imageUrl || undefined,
+      actions: (message.links || []).slice(0, 3).map(link => ({ action: 'view', label: link.text || link.label, url: link.url }))
+    }, headers);
+  }
+};
@@ -0,0 +1,20 @@
+const { postRequest } = require('./http');
+const { toHtml } = require('./format');
+
+module.exports = {
+  type: 'telegram',
+  label: 'Telegram',
+  fields: [
+    { name: 'botToken', label: 'Bot token', required: true, secret: true },
+    { name: 'chatId', label: 'Chat ID', required: true }
+  ],
+
+  async send(message, settings) {
+    return postRequest(`https://api.telegram.org/bot${settings.botToken}/sendMessage`, {
+      chat_id: settings.chatId,
+      text: toHtml(message),
+      parse_mode: 'HTML',
+      disable_web_page_preview: !message.imageUrl
+    });
+  }
+};
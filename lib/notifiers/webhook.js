@@ -0,0 +1,16 @@
+const { postRequest } = require('./http');
+const { toJson } = require('./format');
+
+module.exports = {
+  type: 'webhook',
+  label: 'Webhook JSON',
+  fields: [
+    { name: 'url', label: 'URL', required: true, secret: true },
+    { name: 'authorization', label: 'Header Authorization', secret: true }
+  ],
+
+  async send(message, settings) {
+    const headers = settings.authorization ? { Authorization: settings.authorization } : {};
+    return postRequest(settings.url, toJson(message), headers);
+  }
+};
@@ -0,0 +1,78 @@
+const util = require('util');
+
+// Strips credentials from text before it reaches a log line, a notification or an API response.
+// Known secret values (from getSecrets) are replaced wherever they appear, the patterns below
+// catch tokens we don't know about yet (rotated cookies, raven error bodies...).
+const REDACTED = '[redacted]';
+
+const PATTERNS = [
+  [/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]{8,}/gi, `$1 ${REDACTED}`],
+  [/\b(Cookie|Set-Cookie|Authorization):\s*[^\r\n]+/gi, `$1: ${REDACTED}`],
+  [/\b(\w*token|password|secret)=([^;&\s"',]+)/gi, `$1=${REDACTED}`],
+  [/"(\w*token|password|secret)"\s*:\s*"[^"]*"/gi, `"$1":"${REDACTED}"`],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED],
+  [/(discord(?:app)?\.com\/api\/webhooks\/)[^\s"'<>)]+/gi, `$1${REDACTED}`],
+  [/\bbot\d+:[A-Za-z0-9_-]{20,}/g, `bot${REDACTED}`]
+];
+
+// Shorter values would match ordinary words
+const MIN_SECRET_LENGTH = 8;
+
+function createRedactor({ getSecrets = () => [] } = {}) {
+  // Longest first so a secret containing another one is replaced whole
+  function loadSecrets() {
+    return getSecrets()
+      .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+      .sort((a, b) => b.length - a.length);
+  }
+
+  function redactText(text, secrets) {
+    if (typeof text !== 'string' || text.length === 0) return text;
+
+    let result = text;
+    for (const secret of secrets) {
+      if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+    }
+
+    for (const [pattern, replacement] of PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  function redact(text) {
+    return redactText(text, loadSecrets());
+  }
+
+  // Same, through every string of an object / array
+  function redactDeep(value) {
+    const secrets = loadSecrets();
+
+    function walk(item) {
+      if (typeof item === 'string') return redactText(item, secrets);
+      if (Array.isArray(item)) return item.map(walk);
+      if (item && typeof item === 'object' && item.constructor === Object) {
+        const result = {};
+        for (const [key, child] of Object.entries(item)) {
+          result[key] = walk(child);
+        }
+        return result;
+      }
+      return item;
+    }
+
+    return walk(value);
+  }
+
+  // console.* arguments: errors and objects are formatted first so nothing slips through
+  function redactLogArg(arg) {
+    if (typeof arg === 'string') return redact(arg);
+    if (arg instanceof Error) return redact(arg.stack || arg.message);
+    if (arg && typeof arg === 'object') return redact(util.inspect(arg, { depth: 4 }));
+    return arg;
+  }
+
+  return { redact, redactDeep, redactLogArg };
+}
+
+module.exports = { createRedactor, REDACTED };
@@ -0,0 +1,182 @@
+// Per-product check scheduler.
+// Every entry has its own interval and priority. Due entries are started by priority
+// (then by how late they are) without exceeding the concurrency limit, an entry is never
+// run twice at the same time, and repeated failures push the next run back exponentially.
+// A task error with retryAfterMs (rate limiting) delays the next run at least that long.
+// onEvent('busy') is sent when a check starts while none was running, and onEvent('idle',
+// { checks, errors, durationMs }) once the last one ends: together they make a check cycle.
+
+function createScheduler({
+  task,
+  onEvent = () => {},
+  concurrency = 2,
+  jitter = 0.1,
+  maxBackoffMs = 30 * 60 * 1000,
+  tickMs = 1000
+}) {
+  const entries = new Map();
+  let running = 0;
+  let timer = null;
+  let cycle = null;
+
+  // +/- jitter so products added together drift apart instead of hitting raven in bursts
+  function withJitter(delay) {
+    return Math.round(delay * (1 - jitter + Math.random() * jitter * 2));
+  }
+
+  function nextDelay(entry) {
+    if (entry.failures === 0) return withJitter(entry.intervalMs);
+    const backoff = entry.intervalMs * Math.pow(2, entry.failures);
+    return withJitter(Math.min(maxBackoffMs, Math.max(entry.intervalMs, backoff)));
+  }
+
+  function add(key, { intervalMs, priority = 0, delayMs = 0 }) {
+    const existing = entries.get(key);
+    if (existing) return update(key, { intervalMs, priority });
+
+    entries.set(key, {
+      key,
+      intervalMs,
+      priority,
+      nextRunAt: Date.now() + delayMs,
+      running: false,
+      failures: 0,
+      retryAfterMs: 0,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null
+    });
+    pump();
+    return describe(key);
+  }
+
+  function update(key, { intervalMs, priority }) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (intervalMs !== undefined && intervalMs !== entry.intervalMs) {
+      entry.intervalMs = intervalMs;
+      // Apply a shorter interval right away instead of waiting for the old one
+      if (!entry.running && entry.failures === 0) {
+        const base = entry.lastRunAt || Date.now();
+        entry.nextRunAt = Math.min(entry.nextRunAt, base + withJitter(intervalMs));
+      }
+    }
+    if (priority !== undefined) entry.priority = priority;
+
+    pump();
+    return describe(key);
+  }
+
+  function remove(key) {
+    return entries.delete(key);
+  }
+
+  // Check an entry as soon as a slot is free
+  function runNow(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+
+    entry.nextRunAt = Date.now();
+    pump();
+    return true;
+  }
+
+  async function run(entry) {
+    if (running === 0) {
+      cycle = { startedAt: Date.now(), checks: 0, errors: 0 };
+      onEvent('busy', null);
+    }
+    entry.running = true;
+    running++;
+    const startedAt = Date.now();
+
+    try {
+      await task(entry.key);
+      entry.failures = 0;
+      entry.retryAfterMs = 0;
+      entry.lastError = null;
+    } catch (error) {
+      entry.failures++;
+      entry.retryAfterMs = error.retryAfterMs || 0;
+      entry.lastError = error.message;
+      cycle.errors++;
+    } finally {
+      entry.running = false;
+      running--;
+      entry.lastRunAt = Date.now();
+      entry.lastDurationMs = entry.lastRunAt - startedAt;
+      entry.nextRunAt = entry.lastRunAt + Math.max(nextDelay(entry), entry.retryAfterMs);
+
+      // Skip entries removed while their check was running
+      if (entries.get(entry.key) === entry) {
+        onEvent('checked', describe(entry.key));
+      }
+      cycle.checks++;
+      pump();
+      if (running === 0) {
+        onEvent('idle', { checks: cycle.checks, errors: cycle.errors, durationMs: Date.now() - cycle.startedAt });
+      }
+    }
+  }
+
+  function pump() {
+    if (!timer) return;
+
+    const now = Date.now();
+    const due = Array.from(entries.values())
+      .filter(entry => !entry.running && entry.nextRunAt <= now)
+      .sort((a, b) => (b.priority - a.priority) || (a.nextRunAt - b.nextRunAt));
+
+    for (const entry of due) {
+      if (running >= concurrency) break;
+      run(entry);
+    }
+  }
+
+  function start() {
+    if (timer) return false;
+    timer = setInterval(pump, tickMs);
+    pump();
+    return true;
+  }
+
+  function stop() {
+    if (!timer) return false;
+    clearInterval(timer);
+    timer = null;
+    return true;
+  }
+
+  function describe(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    return {
+      key: entry.key,
+      intervalMs: entry.intervalMs,
+      priority: entry.priority,
+      running: entry.running,
+      failures: entry.failures,
+      nextRunAt: new Date(entry.nextRunAt).toISOString(),
+      lastRunAt: entry.lastRunAt ? new Date(entry.lastRunAt).toISOString() : null,
+      lastDurationMs: entry.lastDurationMs,
+      lastError: entry.lastError
+    };
+  }
+
+  return {
+    add,
+    update,
+    remove,
+    runNow,
+    start,
+    stop,
+    describe,
+    has: key => entries.has(key),
+    isRunning: () => !!timer,
+    stats: () => ({ entries: entries.size, running, concurrency })
+  };
+}
+
+module.exports = { createScheduler };
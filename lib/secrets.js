@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Secrets at rest: AES-256-GCM with a key derived from the SECRETS_KEY master key.
+// Encrypted values are stored as "enc:v1:<iv>:<tag>:<ciphertext>" (base64url).
+const PREFIX = 'enc:v1:';
+const MASK = '••••';
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function createSecretBox(masterKey) {
+  const key = masterKey ? crypto.scryptSync(masterKey, 'pss-monitor-secrets', 32) : null;
+
+  // Without a master key values are kept as is
+  function encrypt(value) {
+    if (!key || !value || isEncrypted(value)) return value;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join(':');
+  }
+
+  function decrypt(value) {
+    if (!isEncrypted(value)) return value;
+    if (!key) throw new Error('SECRETS_KEY is required to read encrypted secrets');
+
+    const [iv, tag, encrypted] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    try {
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('Cannot decrypt secret, wrong SECRETS_KEY?');
+    }
+  }
+
+  return { enabled: !!key, encrypt, decrypt };
+}
+
+// "••••abcd": enough to recognize a value without exposing it
+function maskSecret(value, visible = 4) {
+  if (!value) return '';
+  const text = String(value);
+  return text.length > visible * 2 ? MASK + text.slice(-visible) : MASK;
+}
+
+// Masked values sent back by the dashboard mean "unchanged"
+function isMaskedSecret(value) {
+  return typeof value === 'string' && value.startsWith(MASK);
+}
+
+module.exports = {
+  createSecretBox,
+  isEncrypted,
+  maskSecret,
+  isMaskedSecret
+};
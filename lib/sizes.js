@@ -0,0 +1,39 @@
+// Size label helpers for the size profiles.
+// Labels are compared once normalized: "42", "EU 42", "42 EU" and "Taille 42" are the same size.
+
+const FRACTIONS = { '½': '.5', '⅓': '.33', '⅔': '.67', '¼': '.25', '¾': '.75' };
+const SLASH_FRACTIONS = { '1/2': '.5', '1/3': '.33', '2/3': '.67', '1/4': '.25', '3/4': '.75' };
+const LETTER_SIZE = /^(X*S|M|X*L|TU)$/;
+
+function normalizeSizeLabel(label) {
+  let size = (label ?? '').toString().toUpperCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/(?<=^|[\s\d])(EUR|EU|FR|TAILLE|SIZE)(?=[\s\d]|$)/g, ' ')
+    .trim();
+
+  // 42 1/2, 42½ and 42,5 all become 42.5
+  size = size.replace(/(\d)\s*([½⅓⅔¼¾])/g, (match, digit, fraction) => digit + FRACTIONS[fraction]);
+  size = size.replace(/(\d)\s+([123])\/([234])\b/g, (match, digit, numerator, denominator) => {
+    return digit + (SLASH_FRACTIONS[`${numerator}/${denominator}`] || ` ${numerator}/${denominator}`);
+  });
+  size = size.replace(/(\d),(\d)/g, '$1.$2');
+
+  // Waist sizes: W32 is 32
+  size = size.replace(/^W\s*(\d+)$/, '$1');
+  // 2XL, 3XS... as XXL, XXXS
+  size = size.replace(/^(\d)\s*X([SL])$/, (match, count, letter) => 'X'.repeat(Number(count)) + letter);
+  size = size.replace(/^T\.?\s*U\.?$|^UNIQUE$/, 'TU');
+
+  return size.replace(/\s+/g, ' ').trim();
+}
+
+// 'letter' (XS to XXL), 'numeric' (42, 42.5, 32) or null when the labels are mixed or unknown
+function detectSizeSystem(labels) {
+  const sizes = labels.map(normalizeSizeLabel).filter(size => size && size !== 'TU');
+  if (sizes.length === 0) return null;
+  if (sizes.every(size => LETTER_SIZE.test(size))) return 'letter';
+  if (sizes.every(size => /^\d+(\.\d+)?$/.test(size))) return 'numeric';
+  return null;
+}
+
+module.exports = { normalizeSizeLabel, detectSizeSystem };
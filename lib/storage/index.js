@@ -0,0 +1,23 @@
+const path = require('path');
+const { createJsonFileStorage } = require('./jsonFile');
+const { createSqliteStorage } = require('./sqlite');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Pick a storage backend from options / env.
+// STORAGE_DRIVER=json (default) or sqlite, STORAGE_PATH overrides the file location.
+function createStorage(options = {}) {
+  const driver = (options.driver || 'json').toLowerCase();
+
+  switch (driver) {
+    case 'json':
+      return createJsonFileStorage(options.path || path.join(DEFAULT_DATA_DIR, 'state.json'));
+    case 'sqlite':
+    case 'db':
+      return createSqliteStorage(options.path || path.join(DEFAULT_DATA_DIR, 'monitor.db'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file backend: the whole state lives in a single file that is
+// rewritten through a temp file + rename so a crash never leaves it half written.
+function createJsonFileStorage(filePath) {
+  async function load() {
+    try {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function save(state) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(state, null, 2), 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  return {
+    driver: 'json',
+    location: filePath,
+    load,
+    save,
+    close: async () => {}
+  };
+}
+
+module.exports = { createJsonFileStorage };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// Embedded SQLite backend (better-sqlite3). Each section of the state gets its
+// own table and a save replaces everything inside a single transaction.
+function createSqliteStorage(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage requires the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS products (key TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS history (key TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS settings (name TEXT PRIMARY KEY, value TEXT NOT NULL);
+  `);
+
+  const statements = {
+    selectProducts: db.prepare('SELECT key, data FROM products'),
+    selectHistory: db.prepare('SELECT key, data FROM history'),
+    selectSettings: db.prepare('SELECT name, value FROM settings'),
+    clearProducts: db.prepare('DELETE FROM products'),
+    clearHistory: db.prepare('DELETE FROM history'),
+    clearSettings: db.prepare('DELETE FROM settings'),
+    insertProduct: db.prepare('INSERT INTO products (key, data) VALUES (?, ?)'),
+    insertHistory: db.prepare('INSERT INTO history (key, data) VALUES (?, ?)'),
+    insertSetting: db.prepare('INSERT INTO settings (name, value) VALUES (?, ?)')
+  };
+
+  const writeState = db.transaction((state) => {
+    statements.clearProducts.run();
+    statements.clearHistory.run();
+    statements.clearSettings.run();
+
+    for (const product of state.products || []) {
+      statements.insertProduct.run(product.key, JSON.stringify(product));
+    }
+    for (const item of state.history || []) {
+      statements.insertHistory.run(item.key, JSON.stringify(item));
+    }
+    for (const [name, value] of Object.entries(state)) {
+      if (name === 'products' || name === 'history') continue;
+      statements.insertSetting.run(name, JSON.stringify(value));
+    }
+  });
+
+  async function load() {
+    const settings = statements.selectSettings.all();
+    const products = statements.selectProducts.all();
+    const history = statements.selectHistory.all();
+
+    if (settings.length === 0 && products.length === 0 && history.length === 0) {
+      return null;
+    }
+
+    const state = {};
+    for (const row of settings) {
+      state[row.name] = JSON.parse(row.value);
+    }
+    state.products = products.map(row => JSON.parse(row.data));
+    state.history = history.map(row => JSON.parse(row.data));
+    return state;
+  }
+
+  async function save(state) {
+    writeState(state);
+  }
+
+  async function close() {
+    db.close();
+  }
+
+  return {
+    driver: 'sqlite',
+    location: filePath,
+    load,
+    save,
+    close
+  };
+}
+
+module.exports = { createSqliteStorage };
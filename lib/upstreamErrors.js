@@ -0,0 +1,80 @@
+// Errors from the raven API carry a type, so callers can react to what happened
+// instead of searching the message text.
+
+const UPSTREAM_ERRORS = {
+  AUTH: 'auth',
+  NOT_FOUND: 'not-found',
+  RATE_LIMITED: 'rate-limited',
+  SERVER: 'upstream-5xx',
+  TIMEOUT: 'timeout',
+  PARSE: 'parse',
+  // Proxies are enabled but none is in rotation, and going direct is not allowed
+  PROXY_UNAVAILABLE: 'proxy-unavailable',
+  // Other 4xx answers and connection failures
+  REQUEST: 'request'
+};
+
+function createUpstreamError(type, message, { statusCode = null, retryAfterMs = null, cause = null } = {}) {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  error.retryAfterMs = retryAfterMs;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+function errorTypeForStatus(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return UPSTREAM_ERRORS.AUTH;
+  if (statusCode === 404 || statusCode === 410) return UPSTREAM_ERRORS.NOT_FOUND;
+  if (statusCode === 429) return UPSTREAM_ERRORS.RATE_LIMITED;
+  if (statusCode >= 500) return UPSTREAM_ERRORS.SERVER;
+  return UPSTREAM_ERRORS.REQUEST;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function httpError(statusCode, body, headers = {}) {
+  const type = errorTypeForStatus(statusCode);
+  return createUpstreamError(type, `HTTP ${statusCode}: ${body}`, {
+    statusCode,
+    retryAfterMs: type === UPSTREAM_ERRORS.RATE_LIMITED ? parseRetryAfter(headers['retry-after']) : null
+  });
+}
+
+function isUpstreamError(error, type) {
+  return !!error && error.type === type;
+}
+
+// Status for API routes relaying an upstream failure (never 401/403, the dashboard would log out)
+function responseStatusFor(error) {
+  switch (error?.type) {
+    case UPSTREAM_ERRORS.NOT_FOUND: return 404;
+    case UPSTREAM_ERRORS.RATE_LIMITED: return 429;
+    case UPSTREAM_ERRORS.TIMEOUT: return 504;
+    case UPSTREAM_ERRORS.PROXY_UNAVAILABLE: return 503;
+    case UPSTREAM_ERRORS.AUTH:
+    case UPSTREAM_ERRORS.SERVER:
+    case UPSTREAM_ERRORS.PARSE:
+    case UPSTREAM_ERRORS.REQUEST:
+      return 502;
+    default:
+      return 500;
+  }
+}
+
+module.exports = {
+  UPSTREAM_ERRORS,
+  createUpstreamError,
+  errorTypeForStatus,
+  parseRetryAfter,
+  httpError,
+  isUpstreamError,
+  responseStatusFor
+};
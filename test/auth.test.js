@@ -0,0 +1,75 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startHarness } = require('./support/harness');
+const { generateApiKey } = require('../lib/auth');
+
+describe('API roles', () => {
+  let harness;
+  let listener;
+  let baseUrl;
+  let editorKey;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+    listener = harness.server.app.listen(0, '127.0.0.1');
+    await once(listener, 'listening');
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(async () => {
+    listener.closeAllConnections();
+    await new Promise(resolve => listener.close(resolve));
+    harness.server.CONFIG.apiKeys = [];
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    const { key, prefix, hash } = generateApiKey();
+    editorKey = key;
+    harness.server.CONFIG.apiKeys = [{ id: 'editor-key', name: 'Editor', role: 'editor', prefix, hash, createdAt: new Date().toISOString(), lastUsedAt: null }];
+  });
+
+  function request(method, path, body) {
+    return fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${editorKey}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+  }
+
+  it('lets an editor use the editor routes', async () => {
+    assert.equal((await request('GET', '/api/products')).status, 200);
+  });
+
+  it('keeps the admin routes closed whatever the case or trailing slash of the path', async () => {
+    const cases = [
+      ['GET', '/api/auth/users'],
+      ['GET', '/api/AUTH/users'],
+      ['POST', '/api/Auth/keys', { name: 'escalated', role: 'admin' }],
+      ['GET', '/api/Config/proxies'],
+      ['POST', '/api/Import', { products: [] }],
+      ['POST', '/api/import/', { products: [] }]
+    ];
+
+    for (const [method, path, body] of cases) {
+      const response = await request(method, path, body);
+      assert.equal(response.status, 403, `${method} ${path}`);
+    }
+    assert.equal(harness.server.CONFIG.apiKeys.length, 1);
+  });
+
+  it('keeps /metrics behind METRICS_TOKEN or an API key', async () => {
+    process.env.METRICS_TOKEN = 'test-metrics-token';
+    try {
+      assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+      assert.equal((await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+      assert.equal((await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer test-metrics-token' } })).status, 200);
+      assert.equal((await request('GET', '/metrics')).status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+    assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+const PRODUCT_ID = '1001001';
+const BASKET_PATH = '/api/7/v2.0.0/basket/add/';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('auto-cart rules', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+  });
+
+  after(() => harness.close());
+
+  beforeEach(() => harness.reset());
+
+  function cartedSizes() {
+    return harness.raven.requests
+      .filter(request => request.path === BASKET_PATH)
+      .map(request => new URLSearchParams(request.body).get('options[size]'));
+  }
+
+  function field(delivery, name) {
+    return delivery.body.embeds[0].fields.find(item => item.name === name)?.value;
+  }
+
+  async function watch(input) {
+    const result = await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, ...input });
+    assert.equal(result.success, true);
+    return harness.server.monitoredProducts.get(PRODUCT_ID);
+  }
+
+  it('carts the first available size of the preference list and stops', async () => {
+    harness.raven.scriptStock(PRODUCT_ID, [{ 101: 0, 102: 0, 103: 0 }, { 101: 1, 102: 2, 103: 1 }]);
+    await watch({ watchAll: true, cartRules: { sizePriority: ['103', '101'] } });
+
+    await harness.server.checkProduct(PRODUCT_ID);
+
+    assert.deepEqual(cartedSizes(), ['103']);
+    const deliveries = await harness.receiver.waitFor(1);
+    assert.equal(field(deliveries[0], '📏 Taille'), 'L');
+    assert.equal(field(deliveries[0], '🛒 Auto-panier'), 'Ajoutée au panier');
+  });
+
+  it('never carts above the maximum price but still alerts', async () => {
+    harness.raven.scriptStock(PRODUCT_ID, [{ 101: 0 }, { 101: 2 }]);
+    const product = await watch({ watchedSizes: ['101'], cartRules: { maxPrice: 100 } });
+
+    await harness.server.checkProduct(PRODUCT_ID);
+
+    assert.deepEqual(cartedSizes(), []);
+    const [delivery] = await harness.receiver.waitFor(1);
+    assert.equal(field(delivery, '🛒 Auto-panier'), 'Prix au-dessus du plafond de 100,00 €, pas d\'ajout au panier');
+    assert.ok(product.notified.has('101'));
+  });
+
+  it('only notifies in notify mode', async () => {
+    await watch({ watchedSizes: ['102'], cartRules: { mode: 'notify' } });
+
+    assert.deepEqual(cartedSizes(), []);
+    const [delivery] = await harness.receiver.waitFor(1);
+    assert.equal(field(delivery, '🛒 Auto-panier'), 'Notification seule, pas d\'ajout au panier');
+  });
+
+  it('carts one of several watched sizes back at once and alerts for each', async () => {
+    harness.raven.scriptStock(PRODUCT_ID, [{ 101: 0, 102: 0, 103: 0 }, { 101: 1, 102: 0, 103: 1 }]);
+    await watch({ watchedSizes: ['101', '103'], cartRules: { mode: 'one', sizePriority: ['103'] } });
+
+    await harness.server.checkProduct(PRODUCT_ID);
+
+    assert.deepEqual(cartedSizes(), ['103']);
+    const deliveries = await harness.receiver.waitFor(2);
+    const actions = Object.fromEntries(deliveries.map(delivery => [field(delivery, '📏 Taille'), field(delivery, '🛒 Auto-panier')]));
+    assert.deepEqual(actions, { L: 'Ajoutée au panier', S: 'Non ajoutée, une taille prioritaire est déjà au panier' });
+  });
+
+  it('carts every watched size in stock by default', async () => {
+    harness.raven.setStock(PRODUCT_ID, { 101: 1, 102: 2 });
+    const result = await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101', '102'] });
+
+    assert.deepEqual(cartedSizes(), ['101', '102']);
+    assert.deepEqual(result.alreadyInStock, ['S', 'M']);
+    await harness.receiver.waitFor(2);
+  });
+
+  it('alerts once with the failure when no size could be carted in watchAll mode', async () => {
+    harness.raven.scriptStock(PRODUCT_ID, [{ 101: 0, 102: 0, 103: 0 }, { 101: 0, 102: 2, 103: 1 }]);
+    await watch({ watchAll: true });
+    harness.raven.queueBasketResponse({ status: 500, body: { message: 'Down' } });
+    harness.raven.queueBasketResponse({ status: 500, body: { message: 'Down' } });
+
+    await harness.server.checkProduct(PRODUCT_ID);
+
+    assert.deepEqual(cartedSizes(), ['102', '103']);
+    const [delivery] = await harness.receiver.waitFor(1);
+    assert.equal(field(delivery, '🛒 Auto-panier'), 'Échec de l\'ajout au panier');
+    assert.equal(field(delivery, '📏 Taille'), 'M');
+    assert.match(field(delivery, '👤 Panier'), /^❌ Principal : HTTP 500/);
+    await sleep(100);
+    assert.equal(harness.receiver.received.length, 1);
+  });
+
+  it('validates the rules', () => {
+    const { normalizeCartRules } = harness.server;
+
+    assert.match(normalizeCartRules({ mode: 'some' }).error, /mode must be one of/);
+    assert.match(normalizeCartRules({ maxPrice: -3 }).error, /maxPrice/);
+    assert.deepEqual(normalizeCartRules({ mode: 'one', sizePriority: [102, '102'], maxPrice: '79,90' }).cartRules, {
+      mode: 'one',
+      sizePriority: ['102'],
+      maxPrice: 79.9
+    });
+    assert.equal(normalizeCartRules({ maxPrice: '1.299,99 €' }).cartRules.maxPrice, 1299.99);
+  });
+
+  it('reads prices with thousands separators in both conventions', () => {
+    const { parsePrice } = harness.server;
+
+    assert.equal(parsePrice('1.299,99 €'), 1299.99);
+    assert.equal(parsePrice('£1,299.99'), 1299.99);
+    assert.equal(parsePrice('1 299,99 €'), 1299.99);
+    assert.equal(parsePrice('1.234.567'), 1234567);
+    assert.equal(parsePrice('1.299'), 1299);
+    assert.equal(parsePrice('79,90'), 79.9);
+    assert.equal(parsePrice('129.5'), 129.5);
+    assert.equal(parsePrice(59.99), 59.99);
+    assert.equal(parsePrice('N/A'), null);
+  });
+});
@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startHarness } = require('./support/harness');
+const { loadFixture } = require('./support/mockRaven');
+const { createInteractionSigner } = require('./support/discord');
+const { encodeCustomId } = require('../lib/discordInteractions');
+
+const PRODUCT_ID = '1001001';
+const ALLOWED_USER = '200000000000000001';
+const BASKET_PATH = '/api/7/v2.0.0/basket/add/';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Discord interactions', () => {
+  const signer = createInteractionSigner();
+  let harness;
+  let listener;
+  let endpoint;
+
+  before(async () => {
+    // Read once, when server.js is loaded
+    process.env.DISCORD_PUBLIC_KEY = signer.publicKey;
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+    harness.server.CONFIG.discordInteractions.allowedUsers = [ALLOWED_USER];
+    harness.server.CONFIG.discordApiUrl = `${harness.receiverUrl}/discord-api`;
+
+    listener = harness.server.app.listen(0, '127.0.0.1');
+    await once(listener, 'listening');
+    endpoint = `http://127.0.0.1:${listener.address().port}/discord/interactions`;
+  });
+
+  after(async () => {
+    listener.closeAllConnections();
+    await new Promise(resolve => listener.close(resolve));
+    await harness.close();
+    delete process.env.DISCORD_PUBLIC_KEY;
+  });
+
+  beforeEach(() => harness.reset());
+
+  async function send(payload) {
+    const body = JSON.stringify(payload);
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...signer.sign(body) },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function asUser(payload, id) {
+    return { ...payload, member: { ...payload.member, user: { ...payload.member.user, id } } };
+  }
+
+  // Delivered and recorded by the queue, so nothing is left to save once the test ends
+  function nextDelivery() {
+    return new Promise(resolve => {
+      const unsubscribe = harness.server.events.subscribe(event => {
+        if (event.type !== 'notification.sent') return;
+        unsubscribe();
+        resolve(harness.receiver.received.at(-1));
+      });
+    });
+  }
+
+  it('answers the PING Discord sends when the endpoint is saved', async () => {
+    const { status, body } = await send(loadFixture('interaction-ping'));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { type: 1 });
+  });
+
+  it('refuses tampered and replayed requests', async () => {
+    const payload = loadFixture('interaction-list');
+    const signed = signer.sign(JSON.stringify(payload));
+
+    const tampered = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...signed },
+      body: JSON.stringify({ ...payload, token: 'other-token' })
+    });
+    assert.equal(tampered.status, 401);
+
+    const stale = Math.floor(Date.now() / 1000 - 10 * 60).toString();
+    const body = JSON.stringify(payload);
+    const replayed = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...signer.sign(body, stale) },
+      body
+    });
+    assert.equal(replayed.status, 401);
+  });
+
+  it('only lets the allowed users drive the monitor', async () => {
+    await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+
+    const { body } = await send(asUser(loadFixture('interaction-button'), '200000000000000999'));
+
+    assert.equal(body.type, 4);
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /200000000000000999/);
+    assert.equal(harness.server.monitoredProducts.get(PRODUCT_ID).snoozedUntil, undefined);
+  });
+
+  it('answers a button whose id does not decode as an unknown action', async () => {
+    const button = loadFixture('interaction-button');
+
+    const { status, body } = await send({ ...button, data: { ...button.data, custom_id: 'pss:unwatch:%E0%A4%A' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.content, '❌ Action inconnue.');
+  });
+
+  it('lists the monitored products', async () => {
+    await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101', '103'] });
+
+    const { body } = await send(loadFixture('interaction-list'));
+
+    assert.equal(body.type, 4);
+    const [embed] = body.data.embeds;
+    assert.match(embed.title, /1 produit/);
+    assert.match(embed.description, /Rossignol - Veste de ski Freeride.*S, L/);
+  });
+
+  it('watches a product from /watch and posts the result once raven answered', async () => {
+    const payload = loadFixture('interaction-watch');
+
+    const { body } = await send(payload);
+    assert.deepEqual(body, { type: 5, data: { flags: 64 } });
+
+    const [followup] = await harness.receiver.waitFor(1);
+    assert.equal(followup.path, `/discord-api/webhooks/${payload.application_id}/${payload.token}`);
+    assert.match(followup.body.content, /Veste de ski Freeride.*tailles S/);
+    assert.deepEqual(Array.from(harness.server.monitoredProducts.get(PRODUCT_ID).watchedSizes), ['101']);
+  });
+
+  it('autocompletes the product and stops watching it from /unwatch', async () => {
+    await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+    const autocomplete = loadFixture('interaction-unwatch-autocomplete');
+
+    const { body: choices } = await send(autocomplete);
+    assert.equal(choices.type, 8);
+    assert.deepEqual(choices.data.choices.map(choice => choice.value), [PRODUCT_ID]);
+
+    const { body } = await send({
+      ...autocomplete,
+      type: 2,
+      data: { ...autocomplete.data, options: [{ name: 'product', type: 3, value: PRODUCT_ID }] }
+    });
+    assert.match(body.data.content, /n'est plus surveillé/);
+    assert.equal(harness.server.monitoredProducts.has(PRODUCT_ID), false);
+  });
+
+  it('adds buttons to restock alerts and snoozes the product from them', async () => {
+    const products = harness.server.monitoredProducts;
+    await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+    harness.raven.setStock(PRODUCT_ID, { 101: 2 });
+    const delivered = nextDelivery();
+
+    await harness.server.checkProduct(PRODUCT_ID);
+
+    const alert = await delivered;
+    const buttons = alert.body.components[0].components;
+    assert.deepEqual(buttons.map(button => button.custom_id), [
+      encodeCustomId('uncart', PRODUCT_ID, '101'),
+      encodeCustomId('unwatch', PRODUCT_ID),
+      encodeCustomId('snooze', PRODUCT_ID, 60)
+    ]);
+
+    const button = loadFixture('interaction-button');
+    const { body } = await send({ ...button, data: { ...button.data, custom_id: buttons[2].custom_id } });
+    assert.match(body.data.content, /en pause jusqu'à/);
+    const snoozedUntil = Date.parse(products.get(PRODUCT_ID).snoozedUntil);
+    assert.ok(Math.abs(snoozedUntil - (Date.now() + 60 * 60 * 1000)) < 5000);
+
+    // Sold out then back: neither carted nor alerted while snoozed
+    harness.raven.setStock(PRODUCT_ID, { 101: 0 });
+    await harness.server.checkProduct(PRODUCT_ID);
+    harness.raven.setStock(PRODUCT_ID, { 101: 1 });
+    await harness.server.checkProduct(PRODUCT_ID);
+    await sleep(100);
+    assert.equal(harness.receiver.received.length, 1);
+    assert.equal(harness.raven.requests.filter(request => request.path === BASKET_PATH).length, 1);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { loadFixture } = require('./support/mockRaven');
+
+const VARIANT_PATH = '/api/7/v2.0.0/products/3003/';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('fetchProductDetails', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes', 'product-variants', 'variant-3003', 'product-listed'] });
+  });
+
+  after(() => harness.close());
+
+  beforeEach(() => harness.reset());
+
+  it('parses product info, sizes and option level stock', async () => {
+    const { productInfo, sizeMapping, stockInfo } = await harness.server.fetchProductDetails('1001001');
+
+    assert.equal(productInfo.productId, 1001001);
+    assert.equal(productInfo.title, 'Veste de ski Freeride');
+    assert.equal(productInfo.brand, 'Rossignol');
+    assert.equal(productInfo.price, 129.9);
+    assert.equal(productInfo.originalPrice, 259.8);
+    assert.equal(productInfo.discount, '50%');
+    assert.equal(productInfo.imageUrl, 'https://media.privatesportshop.fr/1001001-1.jpg');
+    assert.equal(productInfo.inStock, true);
+
+    assert.deepEqual(sizeMapping, {
+      101: { size: 'S', productId: 2001 },
+      102: { size: 'M', productId: 2002 },
+      103: { size: 'L', productId: 2003 }
+    });
+    assert.deepEqual(stockInfo['101'], { inStock: false, quantity: 0, source: 'api' });
+    assert.deepEqual(stockInfo['102'], { inStock: true, quantity: 3, source: 'api' });
+  });
+
+  it('queries the configured store and sends the account credentials', async () => {
+    await harness.server.fetchProductDetails('1001001');
+
+    const [request] = harness.raven.requests;
+    assert.equal(request.path, '/api/7/v2.0.0/products/1001001/');
+    assert.deepEqual(request.query, { shipment: 'FR', store_id: '20' });
+    assert.match(request.headers.cookie, /access_token=/);
+  });
+
+  it('reads stock from embedded variants, then from the variant product', async () => {
+    const { productInfo, stockInfo } = await harness.server.fetchProductDetails('1002001');
+
+    assert.equal(productInfo.price, 89.5);
+    assert.equal(productInfo.originalPrice, 140);
+    assert.equal(productInfo.discount, null);
+    assert.equal(productInfo.imageUrl, 'https://media.privatesportshop.fr/1002001-thumb.jpg');
+
+    assert.deepEqual(stockInfo['201'], { inStock: true, quantity: 2, source: 'api' });
+    assert.deepEqual(stockInfo['202'], { inStock: false, quantity: 0, source: 'api' });
+    assert.deepEqual(stockInfo['203'], { inStock: true, quantity: 5, source: 'api' });
+
+    const paths = harness.raven.requests.map(request => request.path);
+    assert.deepEqual(paths, ['/api/7/v2.0.0/products/1002001/', '/api/7/v2.0.0/products/3003/']);
+  });
+
+  it('skips variant lookups when resolveVariants is false', async () => {
+    const { stockInfo } = await harness.server.fetchProductDetails('1002001', { resolveVariants: false });
+
+    assert.equal(stockInfo['203'].source, 'listed');
+    assert.equal(harness.raven.requests.length, 1);
+  });
+
+  it('marks a size unknown, not available, when its variant lookup fails', async () => {
+    harness.raven.failNext(VARIANT_PATH, 503);
+
+    const { stockInfo } = await harness.server.fetchProductDetails('1002001');
+
+    assert.deepEqual(stockInfo['203'], { inStock: false, quantity: 0, source: 'unknown' });
+  });
+
+  it('keeps the last known stock of a size when its lookup fails during a check', async () => {
+    harness.raven.addProduct({ ...loadFixture('variant-3003'), salable_qty: 0 });
+    try {
+      await harness.server.addProductToMonitoring({ productId: '1002001', watchedSizes: ['203'] });
+      const product = harness.server.monitoredProducts.get('1002001');
+      assert.equal(product.previousStock['203'].inStock, false);
+
+      harness.raven.failNext(VARIANT_PATH, 503);
+      await harness.server.checkProduct('1002001');
+
+      assert.deepEqual(product.previousStock['203'], { inStock: false, quantity: 0, source: 'api' });
+      await sleep(100);
+      assert.equal(harness.receiver.received.length, 0);
+      assert.equal(harness.raven.requests.filter(request => request.path === '/api/7/v2.0.0/basket/add/').length, 0);
+    } finally {
+      harness.raven.addProduct(loadFixture('variant-3003'));
+    }
+  });
+
+  it('treats sizes without stock information as available', async () => {
+    const { sizeMapping, stockInfo } = await harness.server.fetchProductDetails('1003001');
+
+    assert.deepEqual(sizeMapping, { 301: { size: 'TU', productId: undefined } });
+    assert.deepEqual(stockInfo['301'], { inStock: true, quantity: 1, source: 'listed' });
+  });
+
+  it('rejects with the HTTP status of a failed request', async () => {
+    await assert.rejects(harness.server.fetchProductDetails('9999999'), error => {
+      assert.equal(error.statusCode, 404);
+      assert.match(error.message, /^HTTP 404/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { createMockProxy } = require('./support/mockProxy');
+const { UPSTREAM_ERRORS } = require('../lib/upstreamErrors');
+
+const PRODUCT_ID = '1001001';
+
+describe('raven HTTP client', () => {
+  let harness;
+  let proxyA;
+  let proxyB;
+  let proxyAUrl;
+  let proxyBUrl;
+  let defaultClient;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+    defaultClient = harness.server.CONFIG.client;
+    proxyA = createMockProxy();
+    proxyB = createMockProxy();
+    proxyAUrl = await proxyA.start();
+    proxyBUrl = await proxyB.start();
+  });
+
+  after(async () => {
+    await harness.close();
+    await Promise.all([proxyA.close(), proxyB.close()]);
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    harness.server.CONFIG.client = defaultClient;
+    proxyA.reset();
+    proxyB.reset();
+  });
+
+  function useProxies(...urls) {
+    harness.server.CONFIG.proxies = urls.map((url, index) => ({ id: `proxy-${index + 1}`, url, enabled: true }));
+    harness.server.syncProxyPool();
+  }
+
+  it('reuses the connection between requests', async () => {
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    const [first, second] = harness.raven.requests;
+    assert.equal(first.remotePort, second.remotePort);
+  });
+
+  it('sends the configured app version and User-Agent', async () => {
+    const { client, error } = harness.server.normalizeClientSettings({
+      appVersion: '3.15.1',
+      headers: { 'X-App-Version': '{appVersion}' }
+    });
+    assert.equal(error, undefined);
+    harness.server.CONFIG.client = client;
+
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    const { headers } = harness.raven.requests[0];
+    assert.equal(headers['user-agent'], 'SportScape/3.15.1 PSS iOS (26.2)');
+    assert.equal(headers['x-app-version'], '3.15.1');
+  });
+
+  it('rejects client headers that would override credentials', () => {
+    assert.match(harness.server.normalizeClientSettings({ headers: { Cookie: 'x' } }).error, /Cookie/);
+    assert.match(harness.server.normalizeClientSettings({ appVersion: '3.15 beta' }).error, /appVersion/);
+  });
+
+  it('rotates requests through the proxy pool', async () => {
+    useProxies(proxyAUrl, proxyBUrl);
+
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    assert.equal(proxyA.tunnels.length, 1);
+    assert.equal(proxyB.tunnels.length, 1);
+    assert.equal(harness.raven.requests.length, 2);
+    assert.deepEqual(harness.server.proxyPool.describe().map(proxy => proxy.requests), [1, 1]);
+  });
+
+  it('sends the proxy credentials with the CONNECT request', async () => {
+    useProxies(proxyAUrl.replace('http://', 'http://monitor:s3cret@'));
+
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    assert.equal(proxyA.tunnels[0].authorization, `Basic ${Buffer.from('monitor:s3cret').toString('base64')}`);
+  });
+
+  it('takes a failing proxy out of rotation until a health check passes', async () => {
+    useProxies(proxyAUrl, proxyBUrl);
+    proxyA.setFailing(true);
+
+    // Every other request goes through proxy A, the third failure takes it out
+    for (let i = 0; i < 6; i++) {
+      await harness.server.fetchProductDetails(PRODUCT_ID).catch(error => {
+        assert.equal(error.type, UPSTREAM_ERRORS.REQUEST);
+        assert.match(error.message, /CONNECT answered HTTP 502/);
+      });
+    }
+    const [down] = harness.server.proxyPool.describe();
+    assert.equal(down.inRotation, false);
+    assert.equal(down.failures, 3);
+
+    proxyB.reset();
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+    assert.equal(harness.server.proxyPool.describe()[1].requests, 5);
+
+    proxyA.setFailing(false);
+    const proxies = await harness.server.checkProxies();
+    assert.deepEqual(proxies.map(proxy => proxy.inRotation), [true, true]);
+  });
+
+  it('fails rather than going direct when no proxy is left in rotation, unless allowed', async () => {
+    const { CONFIG } = harness.server;
+    useProxies(proxyAUrl);
+    proxyA.setFailing(true);
+    for (let i = 0; i < CONFIG.proxyMaxFailures; i++) {
+      await assert.rejects(harness.server.fetchProductDetails(PRODUCT_ID), error => error.type === UPSTREAM_ERRORS.REQUEST);
+    }
+
+    await assert.rejects(harness.server.fetchProductDetails(PRODUCT_ID), error => error.type === UPSTREAM_ERRORS.PROXY_UNAVAILABLE);
+    assert.equal(harness.raven.requests.length, 0);
+    const metrics = harness.server.metrics.render();
+    assert.match(metrics, /pss_proxy_routing\{state="unavailable"\} 1/);
+
+    CONFIG.proxyFallbackDirect = true;
+    try {
+      await harness.server.fetchProductDetails(PRODUCT_ID);
+      assert.equal(harness.raven.requests.length, 1);
+    } finally {
+      CONFIG.proxyFallbackDirect = false;
+    }
+  });
+
+  it('always uses the account proxy when one is set', async () => {
+    useProxies(proxyBUrl);
+    harness.account.proxy = proxyAUrl;
+
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    assert.equal(proxyA.tunnels.length, 1);
+    assert.equal(proxyB.tunnels.length, 0);
+    assert.equal(harness.raven.requests.length, 2);
+  });
+});
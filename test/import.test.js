@@ -0,0 +1,74 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startHarness } = require('./support/harness');
+
+const ADMIN_KEY = 'pss_test-admin-key';
+
+describe('watchlist import', () => {
+  let harness;
+  let listener;
+  let baseUrl;
+
+  before(async () => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+    listener = harness.server.app.listen(0, '127.0.0.1');
+    await once(listener, 'listening');
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(async () => {
+    listener.closeAllConnections();
+    await new Promise(resolve => listener.close(resolve));
+    await harness.close();
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  beforeEach(() => harness.reset());
+
+  async function importData(data) {
+    const response = await fetch(`${baseUrl}/api/import`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${ADMIN_KEY}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('reports invalid entries instead of failing the whole import', async () => {
+    const { status, body } = await importData({
+      products: [null, { productId: '1001001', watchedSizes: [{ sizeId: '101' }] }],
+      catalogWatches: [null],
+      sizeProfiles: ['M']
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.products.added, 1);
+    assert.equal(body.products.failed, 1);
+    assert.equal(body.products.results[0].error, 'Invalid item');
+    assert.equal(body.catalogWatches[0].success, false);
+    assert.equal(body.sizeProfiles[0].success, false);
+    assert.ok(harness.server.monitoredProducts.has('1001001'));
+  });
+
+  it('refuses sections that are not lists', async () => {
+    const { status, body } = await importData({ products: [], sizeProfiles: { name: 'Chaussures' } });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /sizeProfiles/);
+  });
+
+  it('accepts a large watchlist while other routes keep the default body limit', async () => {
+    const note = 'x'.repeat(200 * 1024);
+    const { status } = await importData({ products: [], note });
+    assert.equal(status, 200);
+
+    const response = await fetch(`${baseUrl}/api/products/add`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${ADMIN_KEY}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ productId: '1001001', note })
+    });
+    assert.equal(response.status, 413);
+  });
+});
@@ -0,0 +1,204 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { loadFixture } = require('./support/mockRaven');
+const { createScheduler } = require('../lib/scheduler');
+const { UPSTREAM_ERRORS, createUpstreamError } = require('../lib/upstreamErrors');
+
+const PRODUCT_ID = '1001001';
+const PRODUCT_PATH = `/api/7/v2.0.0/products/${PRODUCT_ID}/`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('upstream errors and product lifecycle', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+  });
+
+  after(() => harness.close());
+
+  beforeEach(() => harness.reset());
+
+  // Delivered and recorded by the queue, so nothing is left to save once the test ends
+  function nextDelivery() {
+    return new Promise(resolve => {
+      const unsubscribe = harness.server.events.subscribe(event => {
+        if (event.type !== 'notification.sent') return;
+        unsubscribe();
+        resolve(harness.receiver.received.at(-1));
+      });
+    });
+  }
+
+  describe('typed upstream errors', () => {
+    it('types raven failures by status', async () => {
+      const cases = [
+        [404, UPSTREAM_ERRORS.NOT_FOUND],
+        [429, UPSTREAM_ERRORS.RATE_LIMITED],
+        [500, UPSTREAM_ERRORS.SERVER],
+        [400, UPSTREAM_ERRORS.REQUEST]
+      ];
+
+      for (const [status, type] of cases) {
+        harness.raven.failNext(PRODUCT_PATH, status);
+        await assert.rejects(harness.server.fetchProductDetails(PRODUCT_ID), error => {
+          return error.type === type && error.statusCode === status;
+        });
+      }
+    });
+
+    it('reads Retry-After on rate limiting', async () => {
+      harness.raven.failNext(PRODUCT_PATH, 429, { headers: { 'Retry-After': '120' } });
+
+      await assert.rejects(harness.server.fetchProductDetails(PRODUCT_ID), error => error.retryAfterMs === 120000);
+    });
+
+    it('does not report an expired token for an error that only mentions auth', async () => {
+      await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+      const { recorded, stop } = harness.recordEvents('product.error', 'token.expired');
+      harness.raven.failNext(PRODUCT_PATH, 500, { body: { message: 'auth service unavailable' } });
+
+      await assert.rejects(harness.server.checkProduct(PRODUCT_ID), /HTTP 500/);
+      await sleep(100);
+      stop();
+
+      assert.deepEqual(recorded.map(event => event.type), ['product.error']);
+      assert.equal(recorded[0].data.errorType, UPSTREAM_ERRORS.SERVER);
+      assert.equal(harness.account.tokenExpiredNotified, false);
+      assert.equal(harness.receiver.received.length, 0);
+    });
+
+    it('keeps the next scheduled run after the Retry-After delay', async () => {
+      const scheduler = createScheduler({
+        jitter: 0,
+        task: async () => {
+          throw createUpstreamError(UPSTREAM_ERRORS.RATE_LIMITED, 'HTTP 429', { statusCode: 429, retryAfterMs: 60000 });
+        }
+      });
+      scheduler.add('product', { intervalMs: 1000 });
+      scheduler.start();
+      await sleep(50);
+      scheduler.stop();
+
+      const entry = scheduler.describe('product');
+      assert.equal(entry.failures, 1);
+      const delay = Date.parse(entry.nextRunAt) - Date.parse(entry.lastRunAt);
+      assert.ok(delay >= 60000, `next run in ${delay}ms`);
+    });
+
+    it('reports a check cycle from the first check started to the last one ended', async () => {
+      const cycles = [];
+      const scheduler = createScheduler({
+        jitter: 0,
+        concurrency: 2,
+        onEvent: (type, data) => {
+          if (type === 'busy' || type === 'idle') cycles.push([type, data]);
+        },
+        task: async key => {
+          await sleep(key === 'slow' ? 40 : 10);
+          if (key === 'failing') throw new Error('HTTP 500');
+        }
+      });
+      scheduler.add('slow', { intervalMs: 60000 });
+      scheduler.add('failing', { intervalMs: 60000 });
+      scheduler.add('other', { intervalMs: 60000 });
+      scheduler.start();
+      await sleep(100);
+      scheduler.stop();
+
+      assert.equal(cycles.length, 2);
+      assert.deepEqual(cycles[0], ['busy', null]);
+      const [type, { checks, errors, durationMs }] = cycles[1];
+      assert.deepEqual({ type, checks, errors }, { type: 'idle', checks: 3, errors: 1 });
+      assert.ok(durationMs >= 40, `cycle of ${durationMs}ms`);
+    });
+  });
+
+  describe('product lifecycle', () => {
+    it('marks a product missing, then archives it as removed after repeated 404s', async () => {
+      await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+      const { recorded, stop } = harness.recordEvents('product.error', 'product.archived');
+      harness.raven.removeProduct(PRODUCT_ID);
+      const delivered = nextDelivery();
+
+      await assert.rejects(harness.server.checkProduct(PRODUCT_ID), error => error.type === UPSTREAM_ERRORS.NOT_FOUND);
+      await assert.rejects(harness.server.checkProduct(PRODUCT_ID), /HTTP 404/);
+      const product = harness.server.monitoredProducts.get(PRODUCT_ID);
+      assert.equal(product.status, 'missing');
+      assert.equal(product.notFoundCount, 2);
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      stop();
+
+      assert.equal(harness.server.monitoredProducts.has(PRODUCT_ID), false);
+      assert.deepEqual(recorded.map(event => event.type), ['product.error', 'product.error', 'product.archived']);
+      assert.equal(recorded[0].data.errorType, UPSTREAM_ERRORS.NOT_FOUND);
+      assert.equal(recorded[2].data.status, 'removed');
+
+      const delivery = await delivered;
+      assert.equal(delivery.body.embeds[0].title, '🗄️ Produit retiré: Rossignol');
+      assert.equal(harness.account.tokenExpiredNotified, false);
+    });
+
+    it('archives right away on a 410', async () => {
+      await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+      harness.raven.failNext(PRODUCT_PATH, 410, { body: { message: 'Gone' } });
+      const delivered = nextDelivery();
+
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      assert.equal(harness.server.monitoredProducts.has(PRODUCT_ID), false);
+      await delivered;
+    });
+
+    it('goes back to active when the product answers again', async () => {
+      await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+      harness.raven.failNext(PRODUCT_PATH, 404);
+
+      await assert.rejects(harness.server.checkProduct(PRODUCT_ID), /HTTP 404/);
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      const product = harness.server.monitoredProducts.get(PRODUCT_ID);
+      assert.equal(product.status, 'active');
+      assert.equal(product.notFoundCount, 0);
+    });
+
+    it('only flags a product whose special price has ended', async () => {
+      await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+      harness.raven.addProduct({ ...loadFixture('product-sizes'), special_to_date: '2020-01-31 23:59:59' });
+
+      try {
+        await harness.server.checkProduct(PRODUCT_ID);
+
+        const product = harness.server.monitoredProducts.get(PRODUCT_ID);
+        assert.equal(product.status, 'special-ended');
+        await sleep(100);
+        assert.equal(harness.receiver.received.length, 0);
+      } finally {
+        harness.raven.addProduct(loadFixture('product-sizes'));
+      }
+    });
+
+    it('archives a flagged product as sale-ended once raven confirms it is gone', async () => {
+      harness.raven.addProduct({ ...loadFixture('product-sizes'), special_to_date: '2020-01-31 23:59:59' });
+      try {
+        await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+      } finally {
+        harness.raven.addProduct(loadFixture('product-sizes'));
+      }
+      harness.raven.failNext(PRODUCT_PATH, 410, { body: { message: 'Gone' } });
+      const delivered = nextDelivery();
+
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      assert.equal(harness.server.monitoredProducts.has(PRODUCT_ID), false);
+      const embed = (await delivered).body.embeds[0];
+      assert.equal(embed.title, '🗄️ Vente terminée: Rossignol');
+      assert.equal(embed.fields.find(field => field.name === '📋 Statut').value, 'Vente terminée');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+const PRODUCT_ID = '1001001';
+const BASKET_PATH = '/api/7/v2.0.0/basket/add/';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('restock monitoring', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+  });
+
+  after(() => harness.close());
+
+  beforeEach(() => harness.reset());
+
+  function basketAdds() {
+    return harness.raven.requests.filter(request => request.path === BASKET_PATH);
+  }
+
+  async function watch(input) {
+    const result = await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, ...input });
+    assert.equal(result.success, true);
+    return harness.server.monitoredProducts.get(PRODUCT_ID);
+  }
+
+  describe('watched sizes', () => {
+    it('carts and notifies a size coming back in stock, once', async () => {
+      const product = await watch({ watchedSizes: ['101'] });
+      assert.equal(basketAdds().length, 0);
+
+      harness.raven.setStock(PRODUCT_ID, { 101: 2 });
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      const [add] = basketAdds();
+      assert.equal(add.body, `productID=${PRODUCT_ID}&quantity=1&options%5Bsize%5D=101`);
+      assert.match(add.headers.authorization, /^Basic /);
+
+      const [delivery] = await harness.receiver.waitFor(1);
+      assert.equal(delivery.path, '/discord');
+      const embed = delivery.body.embeds[0];
+      assert.equal(embed.title, '🚨 Stock Alert: Rossignol');
+      assert.ok(embed.fields.some(field => field.name === '📏 Taille' && field.value === 'S'));
+      assert.ok(product.notified.has('101'));
+
+      // Still in stock: no second cart add or alert
+      await harness.server.checkProduct(PRODUCT_ID);
+      assert.equal(basketAdds().length, 1);
+      await sleep(100);
+      assert.equal(harness.receiver.received.length, 1);
+    });
+
+    it('resets the alert when the size sells out and alerts again on the next restock', async () => {
+      harness.raven.scriptStock(PRODUCT_ID, [{ 101: 0 }, { 101: 1 }, { 101: 0 }, { 101: 4 }]);
+      const product = await watch({ watchedSizes: ['101'] });
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      await harness.receiver.waitFor(1);
+      assert.ok(product.notified.has('101'));
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      assert.equal(product.notified.has('101'), false);
+      assert.equal(product.previousStock['101'].inStock, false);
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      const deliveries = await harness.receiver.waitFor(2);
+      assert.ok(deliveries[1].body.embeds[0].fields.some(field => field.name === '📦 Quantité' && field.value === '4'));
+      assert.equal(basketAdds().length, 2);
+    });
+
+    it('carts a watched size already in stock when it is added', async () => {
+      const product = await watch({ watchedSizes: ['102'] });
+
+      assert.equal(basketAdds().length, 1);
+      await harness.receiver.waitFor(1);
+      assert.ok(product.notified.has('102'));
+    });
+
+    it('treats a size missing from the payload as out of stock', async () => {
+      const product = await watch({ watchedSizes: ['999'] });
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      assert.deepEqual(product.previousStock['999'], { inStock: false, quantity: 0, source: 'missing' });
+      assert.equal(basketAdds().length, 0);
+    });
+  });
+
+  describe('watchAll', () => {
+    it('alerts when an out of stock product gets sizes back, and again after selling out', async () => {
+      harness.raven.scriptStock(PRODUCT_ID, [
+        { 101: 0, 102: 0, 103: 0 },
+        { 101: 0, 102: 0, 103: 0 },
+        { 101: 0, 102: 2, 103: 1 },
+        { 101: 0, 102: 0, 103: 0 },
+        { 101: 3, 102: 0, 103: 0 }
+      ]);
+      const { recorded, stop } = harness.recordEvents('stock.changed');
+      const product = await watch({ watchAll: true });
+      assert.equal(product.hadSizes, false);
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      assert.equal(basketAdds().length, 0);
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      assert.equal(product.hadSizes, true);
+      // One account: the first available size is enough
+      assert.equal(basketAdds().length, 1);
+      assert.match(basketAdds()[0].body, /options%5Bsize%5D=102/);
+      await harness.receiver.waitFor(1);
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      assert.equal(product.hadSizes, false);
+      assert.equal(product.notified.size, 0);
+
+      await harness.server.checkProduct(PRODUCT_ID);
+      await harness.receiver.waitFor(2);
+      assert.match(basketAdds()[1].body, /options%5Bsize%5D=101/);
+
+      stop();
+      assert.deepEqual(recorded.map(event => event.data.inStock), [true, false, true]);
+      assert.deepEqual(recorded[0].data.sizes, ['M', 'L']);
+    });
+
+    it('tries the next size when the cart add fails', async () => {
+      harness.raven.scriptStock(PRODUCT_ID, [{ 101: 0, 102: 0, 103: 0 }, { 101: 0, 102: 2, 103: 1 }]);
+      const product = await watch({ watchAll: true });
+
+      harness.raven.queueBasketResponse({ body: { success: false, message: 'Quantité indisponible' } });
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      const adds = basketAdds();
+      assert.equal(adds.length, 2);
+      assert.match(adds[1].body, /options%5Bsize%5D=103/);
+      assert.deepEqual([...product.notified], ['103']);
+      await harness.receiver.waitFor(1);
+    });
+  });
+
+  describe('cart add failures', () => {
+    it('still alerts, with the failure, and carts the size on its next restock', async () => {
+      const { recorded, stop } = harness.recordEvents('cart.added', 'cart.failed');
+      const product = await watch({ watchedSizes: ['101'] });
+
+      harness.raven.setStock(PRODUCT_ID, { 101: 2 });
+      harness.raven.queueBasketResponse({ body: { success: false, message: 'Quantité indisponible' } });
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      assert.equal(recorded.length, 1);
+      assert.equal(recorded[0].type, 'cart.failed');
+      assert.equal(recorded[0].data.error, 'Quantité indisponible');
+      const [delivery] = await harness.receiver.waitFor(1);
+      const fields = delivery.body.embeds[0].fields;
+      assert.ok(fields.some(field => field.name === '🛒 Auto-panier' && field.value === 'Échec de l\'ajout au panier'));
+      assert.ok(fields.some(field => field.name === '👤 Panier' && field.value === '❌ Principal : Quantité indisponible'));
+
+      // Sold out and back: the size is carted this time
+      harness.raven.setStock(PRODUCT_ID, { 101: 0 });
+      await harness.server.checkProduct(PRODUCT_ID);
+      assert.equal(product.notified.has('101'), false);
+      harness.raven.setStock(PRODUCT_ID, { 101: 2 });
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      stop();
+      assert.deepEqual(recorded.map(event => event.type), ['cart.failed', 'cart.added']);
+      assert.ok(product.notified.has('101'));
+      await harness.receiver.waitFor(2);
+    });
+
+    it('reports HTTP errors from the basket as a failed add', async () => {
+      harness.raven.failNext(BASKET_PATH, 500);
+      const result = await harness.server.addToCart(PRODUCT_ID, '101');
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /^HTTP 500/);
+    });
+  });
+
+  describe('metrics', () => {
+    it('reports time since the last successful check only for kinds with something to check', async () => {
+      assert.doesNotMatch(harness.server.metrics.render(), /pss_seconds_since_last_successful_check\{/);
+
+      await watch({ watchedSizes: ['101'] });
+      await harness.server.checkProduct(PRODUCT_ID);
+
+      const metrics = harness.server.metrics.render();
+      assert.match(metrics, /pss_seconds_since_last_successful_check\{kind="product"\} 0/);
+      assert.doesNotMatch(metrics, /pss_seconds_since_last_successful_check\{kind="catalog"\}/);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+describe('saved config and environment', () => {
+  let harness;
+  let config;
+
+  before(async () => {
+    harness = await startHarness();
+    config = harness.server.CONFIG;
+  });
+
+  after(() => harness.close());
+
+  beforeEach(() => harness.reset());
+
+  afterEach(() => {
+    delete process.env.PSS_APP_VERSION;
+    config.client.appVersion = '3.14.0';
+    config.reservationKeepAlive = false;
+  });
+
+  it('keeps a value edited in the dashboard while the environment is unchanged', async () => {
+    process.env.PSS_APP_VERSION = '3.15.0';
+    config.client.appVersion = '3.16.0';
+    await harness.server.saveState();
+
+    config.client.appVersion = 'lost';
+    await harness.server.restoreState();
+
+    assert.equal(config.client.appVersion, '3.16.0');
+  });
+
+  it('uses an environment value that changed since the last save', async () => {
+    process.env.PSS_APP_VERSION = '3.15.0';
+    config.client.appVersion = '3.16.0';
+    await harness.server.saveState();
+
+    process.env.PSS_APP_VERSION = '3.17.0';
+    await harness.server.restoreState();
+
+    assert.equal(config.client.appVersion, '3.17.0');
+  });
+
+  it('restores saved values that are false or empty', async () => {
+    config.reservationKeepAlive = false;
+    await harness.server.saveState();
+
+    config.reservationKeepAlive = true;
+    await harness.server.restoreState();
+
+    assert.equal(config.reservationKeepAlive, false);
+  });
+});
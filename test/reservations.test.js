@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { startHarness } = require('./support/harness');
+
+const ADMIN_KEY = 'pss_test-admin-key';
+
+describe('reservation settings', () => {
+  let harness;
+  let listener;
+  let baseUrl;
+
+  before(async () => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    harness = await startHarness();
+    listener = harness.server.app.listen(0, '127.0.0.1');
+    await once(listener, 'listening');
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(async () => {
+    listener.closeAllConnections();
+    await new Promise(resolve => listener.close(resolve));
+    await harness.close();
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  async function update(settings) {
+    const response = await fetch(`${baseUrl}/api/config/reservations`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${ADMIN_KEY}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('changes nothing when one of the fields is invalid', async () => {
+    const { CONFIG } = harness.server;
+    const keepAlive = CONFIG.reservationKeepAlive;
+    const reminderMinutes = CONFIG.reservationReminderMinutes;
+
+    const tooLate = await update({ keepAlive: !keepAlive, reminderMinutes: CONFIG.cartReservationMinutes });
+    assert.equal(tooLate.status, 400);
+    assert.match(tooLate.body.error, /reminderMinutes/);
+
+    const notBoolean = await update({ keepAlive: 'false', reminderMinutes: 2 });
+    assert.equal(notBoolean.status, 400);
+    assert.match(notBoolean.body.error, /keepAlive/);
+
+    assert.equal(CONFIG.reservationKeepAlive, keepAlive);
+    assert.equal(CONFIG.reservationReminderMinutes, reminderMinutes);
+
+    const { body } = await update({ keepAlive: !keepAlive, reminderMinutes: 2 });
+    assert.deepEqual(body, { success: true, keepAlive: !keepAlive, reminderMinutes: 2 });
+  });
+});
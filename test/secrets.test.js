@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSecretBox } = require('../lib/secrets');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+// Runs server.js in its own process (it exits on this error), with logs kept for the assertions
+function runServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: '0', ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`server.js did not exit:\n${output}`));
+    }, 10000);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+describe('encrypted secrets at startup', () => {
+  let dataDir;
+  let statePath;
+  let saved;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pss-monitor-test-'));
+    statePath = path.join(dataDir, 'state.json');
+    const box = createSecretBox('right-key');
+    saved = JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      config: { discordWebhook: box.encrypt('https://discord.com/api/webhooks/1/secret') },
+      products: [],
+      history: []
+    });
+    fs.writeFileSync(statePath, saved);
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  it('refuses to start with the wrong SECRETS_KEY and leaves the saved secrets untouched', async () => {
+    const { code, output } = await runServer({ STORAGE_PATH: statePath, SECRETS_KEY: 'wrong-key' });
+
+    assert.equal(code, 1);
+    assert.match(output, /could not be decrypted/);
+    assert.equal(fs.readFileSync(statePath, 'utf8'), saved);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { normalizeSizeLabel, detectSizeSystem } = require('../lib/sizes');
+
+describe('size labels', () => {
+  it('normalizes size systems, fractions and separators', () => {
+    for (const label of ['42', 'EU 42', '42 EU', 'Taille 42', ' eu42 ']) {
+      assert.equal(normalizeSizeLabel(label), '42', label);
+    }
+    for (const label of ['42.5', '42,5', '42 1/2', '42½', 'EU 42 1/2']) {
+      assert.equal(normalizeSizeLabel(label), '42.5', label);
+    }
+    assert.equal(normalizeSizeLabel('W32'), '32');
+    assert.equal(normalizeSizeLabel('2XL'), 'XXL');
+    assert.equal(normalizeSizeLabel('m'), 'M');
+    assert.equal(normalizeSizeLabel('UK 8'), 'UK 8');
+  });
+
+  it('detects letter and numeric size systems', () => {
+    assert.equal(detectSizeSystem(['S', 'M', 'XL', 'TU']), 'letter');
+    assert.equal(detectSizeSystem(['EU 41', '42 1/2', '43']), 'numeric');
+    assert.equal(detectSizeSystem(['S', '42']), null);
+    assert.equal(detectSizeSystem(['TU']), null);
+  });
+});
+
+describe('size profiles', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes', 'product-shoes'] });
+  });
+
+  after(() => harness.close());
+
+  beforeEach(() => {
+    harness.reset();
+    const profiles = [
+      { name: 'Hauts', sizes: 'M', system: 'letter' },
+      { name: 'Chaussures', sizes: ['42', '42.5'], categories: ['chaussure', 'basket'] },
+      { name: 'Taille', sizes: ['32', '42'], system: 'numeric' }
+    ];
+    harness.server.CONFIG.sizeProfiles = profiles.map(input => harness.server.normalizeSizeProfile(input).profile);
+  });
+
+  function sizesOf(productInfo, sizeMapping) {
+    return harness.server.matchSizeProfile(productInfo, Object.entries(sizeMapping).map(([sizeId, { size }]) => ({ sizeId, size })));
+  }
+
+  it('matches a category profile before generic ones, in its size order', async () => {
+    const { productInfo, sizeMapping } = await harness.server.fetchProductDetails('1004001');
+    const match = sizesOf(productInfo, sizeMapping);
+
+    assert.equal(match.name, 'Chaussures');
+    assert.deepEqual(match.sizeIds, ['402', '403']);
+    assert.deepEqual(match.sizes, ['EU 42', '42 1/2 EU']);
+  });
+
+  it('falls back to the profile of the size system', async () => {
+    const { productInfo, sizeMapping } = await harness.server.fetchProductDetails('1001001');
+    const match = sizesOf(productInfo, sizeMapping);
+
+    assert.equal(match.name, 'Hauts');
+    assert.deepEqual(match.sizeIds, ['102']);
+  });
+
+  it('skips disabled profiles and profiles without a listed size', async () => {
+    harness.server.CONFIG.sizeProfiles[0].enabled = false;
+    const { productInfo, sizeMapping } = await harness.server.fetchProductDetails('1001001');
+
+    assert.equal(sizesOf(productInfo, sizeMapping), null);
+  });
+
+  it('watches the profile sizes when a product is added without sizes', async () => {
+    const result = await harness.server.addProductToMonitoring({ productId: '1004001' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.sizeProfile.name, 'Chaussures');
+    assert.deepEqual(result.watchedSizes, ['EU 42', '42 1/2 EU']);
+    // 42 1/2 is in stock: carted right away
+    assert.deepEqual(result.alreadyInStock, ['42 1/2 EU']);
+    await harness.receiver.waitFor(1);
+  });
+
+  it('refuses to add without sizes when no profile matches', async () => {
+    harness.server.CONFIG.sizeProfiles = [];
+    const result = await harness.server.addProductToMonitoring({ productId: '1001001' });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /no size profile matches/);
+    assert.equal(harness.server.monitoredProducts.size, 0);
+  });
+
+  it('validates profiles', () => {
+    const { normalizeSizeProfile } = harness.server;
+
+    assert.match(normalizeSizeProfile({ sizes: 'M' }).error, /name is required/);
+    assert.match(normalizeSizeProfile({ name: 'Vide', sizes: '' }).error, /at least one size/);
+    assert.match(normalizeSizeProfile({ name: 'Pointure', sizes: '42', system: 'shoe' }).error, /system must be one of/);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { loadFixture } = require('./support/mockRaven');
+
+const PRODUCT_ID = '1001001';
+
+describe('country stores', () => {
+  let harness;
+
+  before(async () => {
+    // Read once, when server.js is loaded; de is left without a store id
+    process.env.PSS_STORE_IDS = 'es:21,it:22,uk:24';
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+  });
+
+  after(async () => {
+    await harness.close();
+    delete process.env.PSS_STORE_IDS;
+  });
+
+  beforeEach(() => harness.reset());
+
+  function productRequests() {
+    return harness.raven.requests.filter(request => request.path.startsWith('/api/7/v2.0.0/products/'));
+  }
+
+  it('detects the store from the product URL domain', () => {
+    const { parseProductUrl } = harness.server;
+
+    assert.deepEqual(parseProductUrl('https://www.privatesportshop.es/catalog/product/view/id/3158263'), { productId: '3158263', store: 'es' });
+    assert.deepEqual(parseProductUrl('https://m.privatesportshop.co.uk/catalog/product/view/id/42'), { productId: '42', store: 'uk' });
+    assert.deepEqual(parseProductUrl('www.privatesportshop.it/catalog/product/view/id/7'), { productId: '7', store: 'it' });
+    assert.deepEqual(parseProductUrl('https://example.com/product?id=12'), { productId: '12', store: null });
+    assert.equal(parseProductUrl('https://www.privatesportshop.de/marken'), null);
+  });
+
+  it('fetches a product with the store parameters', async () => {
+    const { productInfo } = await harness.server.fetchProductDetails(PRODUCT_ID, { store: 'es' });
+
+    assert.equal(productInfo.store, 'es');
+    assert.equal(productInfo.currency, 'EUR');
+    assert.deepEqual(productRequests()[0].query, { shipment: 'ES', store_id: '21' });
+  });
+
+  it('monitors the same product separately in two stores', async () => {
+    await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, store: 'fr', watchedSizes: ['101'] });
+    const result = await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, store: 'es', watchedSizes: ['101'] });
+
+    assert.equal(result.key, `${PRODUCT_ID}@es`);
+    assert.deepEqual(Array.from(harness.server.monitoredProducts.keys()), [PRODUCT_ID, `${PRODUCT_ID}@es`]);
+    assert.equal(harness.server.monitoredProducts.get(`${PRODUCT_ID}@es`).store, 'es');
+  });
+
+  it('carts in the product store and links the store pages in the alert', async () => {
+    await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, store: 'uk', watchedSizes: ['101'] });
+
+    harness.raven.setStock(PRODUCT_ID, { 101: 1 });
+    await harness.server.checkProduct(`${PRODUCT_ID}@uk`);
+
+    const add = harness.raven.requests.find(request => request.path === '/api/7/v2.0.0/basket/add/');
+    assert.deepEqual(add.query, { shipment: 'GB', store_id: '24' });
+
+    const [delivery] = await harness.receiver.waitFor(1);
+    const embed = delivery.body.embeds[0];
+    const field = name => embed.fields.find(item => item.name === name)?.value;
+    assert.equal(field('🌍 Boutique'), '🇬🇧 Royaume-Uni');
+    assert.equal(field('💰 Prix'), '129,90 £');
+    assert.equal(field('🔗 Produit'), `[Voir le produit](https://www.privatesportshop.co.uk/catalog/product/view/id/${PRODUCT_ID})`);
+    assert.equal(field('🛒 Panier'), '[Aller au panier](https://www.privatesportshop.co.uk/checkout/cart)');
+  });
+
+  it('compares stock of the wanted sizes across stores', async () => {
+    const spain = loadFixture('product-sizes');
+    spain.prices.current = 119.9;
+    spain.options[0].values[0].qty = 2;
+    harness.raven.addProduct(spain, { storeId: '21' });
+    harness.raven.removeProduct(PRODUCT_ID, { storeId: '22' });
+
+    const comparison = await harness.server.compareStores(PRODUCT_ID, ['s']);
+    const byStore = Object.fromEntries(comparison.stores.map(entry => [entry.store.code, entry]));
+
+    assert.deepEqual(comparison.inStockIn, ['es']);
+    assert.deepEqual(byStore.es.wantedInStock, ['S']);
+    assert.equal(byStore.es.price, 119.9);
+    assert.equal(byStore.es.productUrl, `https://www.privatesportshop.es/catalog/product/view/id/${PRODUCT_ID}`);
+    assert.deepEqual(byStore.fr.wantedInStock, []);
+    assert.equal(byStore.it.available, false);
+    assert.equal(byStore.it.error, 'Not sold in this store');
+    assert.deepEqual(productRequests().map(request => request.query.store_id), ['20', '21', '22', '24']);
+    assert.equal(byStore.de, undefined);
+  });
+
+  it('matches the wanted sizes across stores that label them differently', async () => {
+    const labelled = (labels, storeId) => {
+      const product = loadFixture('product-sizes');
+      product.options[0].values.forEach((value, index) => {
+        value.value = labels[index];
+        value.qty = 1;
+      });
+      harness.raven.addProduct(product, { storeId });
+    };
+    labelled(['41', '42', '43'], '20');
+    labelled(['EU 41', 'EU 42', 'EU 43'], '21');
+    labelled(['41 EU', '42 EU', '43 EU'], '22');
+    harness.raven.removeProduct(PRODUCT_ID, { storeId: '24' });
+
+    const comparison = await harness.server.compareStores(PRODUCT_ID, ['42']);
+    const byStore = Object.fromEntries(comparison.stores.map(entry => [entry.store.code, entry]));
+
+    assert.deepEqual(comparison.inStockIn, ['fr', 'es', 'it']);
+    assert.deepEqual(byStore.fr.wantedInStock, ['42']);
+    assert.deepEqual(byStore.es.wantedInStock, ['EU 42']);
+    assert.deepEqual(byStore.it.wantedInStock, ['42 EU']);
+  });
+
+  it('refuses a store whose raven store id is not configured', async () => {
+    await assert.rejects(
+      harness.server.addProductToMonitoring({ productId: PRODUCT_ID, store: 'de', watchedSizes: ['101'] }),
+      /No raven store id for store de, set it in PSS_STORE_IDS/
+    );
+
+    assert.equal(harness.server.monitoredProducts.size, 0);
+    assert.equal(productRequests().length, 0);
+  });
+});
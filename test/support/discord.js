@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Signs interaction payloads the way Discord does, with a key pair made for the tests.
+// publicKey is the hex form shown in the developer portal (DISCORD_PUBLIC_KEY).
+function createInteractionSigner() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+  function sign(body, timestamp = Math.floor(Date.now() / 1000).toString()) {
+    const signature = crypto.sign(null, Buffer.from(timestamp + body), privateKey);
+    return { 'X-Signature-Ed25519': signature.toString('hex'), 'X-Signature-Timestamp': timestamp };
+  }
+
+  return {
+    // The raw key is the last 32 bytes of the SPKI encoding
+    publicKey: publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex'),
+    sign
+  };
+}
+
+module.exports = { createInteractionSigner };
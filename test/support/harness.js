@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockRaven, loadFixture, fakeJwt } = require('./mockRaven');
+const { createWebhookReceiver } = require('./webhookReceiver');
+
+// Boots server.js against the mock raven server and the webhook receiver.
+// State and journal go to a temporary directory; logs are silenced unless TEST_VERBOSE is set.
+async function startHarness({ fixtures = [] } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pss-monitor-test-'));
+  process.env.STORAGE_PATH = path.join(dataDir, 'state.json');
+  process.env.CHECK_INTERVAL_SECONDS = '3600';
+
+  if (!process.env.TEST_VERBOSE) {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      console[method] = () => {};
+    }
+  }
+
+  const raven = createMockRaven();
+  const receiver = createWebhookReceiver();
+  for (const name of fixtures) {
+    raven.addProduct(loadFixture(name));
+  }
+
+  const ravenUrl = await raven.start();
+  const receiverUrl = await receiver.start();
+
+  process.env.PSS_API_URL = ravenUrl;
+  const server = require('../../server');
+  server.CONFIG.discordWebhook = `${receiverUrl}/discord`;
+  server.syncDefaultDiscordNotifier();
+
+  const account = server.CONFIG.accounts[0];
+
+  // Fresh monitoring state and credentials between tests
+  function reset({ refreshToken = true } = {}) {
+    server.stopMonitoring();
+    server.monitoredProducts.clear();
+    server.CONFIG.proxies = [];
+    server.syncProxyPool();
+    raven.reset();
+    receiver.reset();
+    account.basicAuth = 'dGVzdDp0ZXN0';
+    account.cookies = `access_token=${fakeJwt()}${refreshToken ? '; refresh_token=test-refresh-token' : ''}`;
+    account.tokenExpiredNotified = false;
+    account.proxy = '';
+  }
+
+  // Collects the published events of the given types
+  function recordEvents(...types) {
+    const recorded = [];
+    const unsubscribe = server.events.subscribe(event => {
+      if (types.length === 0 || types.includes(event.type)) recorded.push(event);
+    });
+    return { recorded, stop: unsubscribe };
+  }
+
+  async function close() {
+    server.stopMonitoring();
+    server.CONFIG.proxies = [];
+    server.syncProxyPool();
+    // Pending writes would recreate the directory after it is removed
+    await server.saveState();
+    await server.journal.flush();
+    await Promise.all([raven.close(), receiver.close()]);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  reset();
+  return { server, raven, receiver, receiverUrl, account, reset, recordEvents, close };
+}
+
+module.exports = { startHarness };
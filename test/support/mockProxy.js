@@ -0,0 +1,70 @@
+const http = require('http');
+const net = require('net');
+
+// CONNECT proxy forwarding tunnels to the requested host. Records each tunnel with its
+// Proxy-Authorization header; setFailing(true) makes it answer 502 to every CONNECT.
+function createMockProxy() {
+  const tunnels = [];
+  const sockets = new Set();
+  let failing = false;
+  let server = null;
+
+  function track(socket) {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  }
+
+  function handleConnect(req, clientSocket, head) {
+    track(clientSocket);
+    tunnels.push({ target: req.url, authorization: req.headers['proxy-authorization'] || null });
+
+    if (failing) {
+      clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      return;
+    }
+
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(Number(port), host, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    track(upstream);
+    upstream.on('error', () => clientSocket.destroy());
+    clientSocket.on('error', () => upstream.destroy());
+  }
+
+  function start() {
+    return new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        res.writeHead(405);
+        res.end();
+      });
+      server.on('connect', handleConnect);
+      server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+  }
+
+  function setFailing(value) {
+    failing = value;
+  }
+
+  // Tunnels stay open while the monitor keeps them alive, cut them so close() returns
+  function close() {
+    if (!server) return Promise.resolve();
+    for (const socket of sockets) socket.destroy();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  function reset() {
+    tunnels.length = 0;
+    failing = false;
+  }
+
+  return { tunnels, start, setFailing, close, reset };
+}
+
+module.exports = { createMockProxy };
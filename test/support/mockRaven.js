@@ -0,0 +1,185 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+let issuedTokens = 0;
+
+// Unsigned JWT with an "exp", enough for the monitor's expiry checks; jti keeps each one distinct
+function fakeJwt(expiresInSeconds = 3600) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = { exp: Math.floor(Date.now() / 1000) + expiresInSeconds, jti: ++issuedTokens };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.sig`;
+}
+
+// Local stand-in for raven.privatesportshop.fr: product payloads, basket adds and token refresh.
+// Stock can be changed between checks (setStock) or scripted per product fetch (scriptStock).
+// Payloads are shared by every store unless one is registered for a store_id.
+function createMockRaven({ tokenRefreshPath = '/api/7/v2.0.0/customer/token/refresh/' } = {}) {
+  const fixtures = new Map();
+  const products = new Map();
+  const stockScripts = new Map();
+  const failures = [];
+  const basketResponses = [];
+  const requests = [];
+  let refreshEnabled = true;
+  let server = null;
+
+  function productKey(productId, storeId) {
+    return storeId ? `${productId}@${storeId}` : String(productId);
+  }
+
+  function addProduct(payload, { storeId } = {}) {
+    const key = productKey(payload.entity_id, storeId);
+    fixtures.set(key, payload);
+    products.set(key, JSON.parse(JSON.stringify(payload)));
+  }
+
+  // The product answers 404 in that store until reset
+  function removeProduct(productId, { storeId } = {}) {
+    products.set(productKey(productId, storeId), null);
+  }
+
+  function getProduct(productId, storeId) {
+    const storeKey = productKey(productId, storeId);
+    return products.has(storeKey) ? products.get(storeKey) : products.get(String(productId));
+  }
+
+  // stock: { sizeId: qty } applied to the size option values
+  function setStock(productId, stock, { storeId } = {}) {
+    const product = getProduct(productId, storeId);
+    if (!product) throw new Error(`Unknown product ${productId}`);
+
+    const sizeOption = product.options.find(option => option.code === 'size');
+    for (const value of sizeOption.values) {
+      if (stock[value.id] !== undefined) value.qty = stock[value.id];
+    }
+  }
+
+  // One stock state per fetch of the product; the last one stays once the script is consumed
+  function scriptStock(productId, steps) {
+    stockScripts.set(String(productId), [...steps]);
+  }
+
+  // The next `times` requests whose path starts with pathPrefix answer with this status
+  function failNext(pathPrefix, status, { times = 1, body = { message: 'Mock failure' }, headers = {} } = {}) {
+    failures.push({ pathPrefix, status, times, body, headers });
+  }
+
+  // Basket add responses are consumed in order, then it succeeds again
+  function queueBasketResponse(response) {
+    basketResponses.push({ status: 200, ...response });
+  }
+
+  function setTokenRefresh(enabled) {
+    refreshEnabled = enabled;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function takeFailure(requestPath) {
+    const failure = failures.find(item => requestPath.startsWith(item.pathPrefix));
+    if (!failure) return null;
+    if (--failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+    return failure;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, remotePort: req.socket.remotePort, body });
+
+    const failure = takeFailure(url.pathname);
+    if (failure) return send(res, failure.status, failure.body, failure.headers);
+
+    const productMatch = url.pathname.match(/^\/api\/7\/v2\.0\.0\/products\/([^/]+)\/$/);
+    if (req.method === 'GET' && productMatch) {
+      const productId = productMatch[1];
+      const storeId = url.searchParams.get('store_id');
+      const script = stockScripts.get(productId);
+      if (script && script.length > 0) {
+        setStock(productId, script.length > 1 ? script.shift() : script[0], { storeId });
+      }
+
+      const product = getProduct(productId, storeId);
+      return product ? send(res, 200, product) : send(res, 404, { message: 'Product not found' });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/7/v2.0.0/basket/add/') {
+      const response = basketResponses.shift() || { status: 200, body: { success: true, message: 'Produit ajouté au panier', count: 1 } };
+      return send(res, response.status, response.body);
+    }
+
+    if (req.method === 'POST' && url.pathname === tokenRefreshPath) {
+      if (!refreshEnabled) return send(res, 401, { message: 'Invalid refresh token' });
+      return send(res, 200, { success: true }, {
+        'Set-Cookie': [`access_token=${fakeJwt()}; Path=/; HttpOnly`]
+      });
+    }
+
+    send(res, 404, { message: `No mock for ${req.method} ${url.pathname}` });
+  }
+
+  function start() {
+    return new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch(error => send(res, 500, { message: error.message }));
+      });
+      server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+  }
+
+  // Node keeps client connections alive, drop them so close() returns
+  function close() {
+    if (!server) return Promise.resolve();
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  // Back to the fixture payloads, with nothing scripted
+  function reset() {
+    products.clear();
+    for (const [key, payload] of fixtures) {
+      products.set(key, JSON.parse(JSON.stringify(payload)));
+    }
+    stockScripts.clear();
+    failures.length = 0;
+    basketResponses.length = 0;
+    requests.length = 0;
+    refreshEnabled = true;
+  }
+
+  return {
+    addProduct,
+    removeProduct,
+    setStock,
+    scriptStock,
+    failNext,
+    queueBasketResponse,
+    setTokenRefresh,
+    requests,
+    reset,
+    start,
+    close
+  };
+}
+
+module.exports = { createMockRaven, loadFixture, fakeJwt };
@@ -0,0 +1,74 @@
+const http = require('http');
+
+// Records every JSON body POSTed to it, standing in for Discord / webhook notifiers
+function createWebhookReceiver() {
+  const received = [];
+  const waiters = [];
+  let server = null;
+
+  function settleWaiters() {
+    for (const waiter of [...waiters]) {
+      if (received.length >= waiter.count) {
+        clearTimeout(waiter.timer);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(received.slice());
+      }
+    }
+  }
+
+  // Resolves once `count` bodies have been received in total
+  function waitFor(count, timeoutMs = 2000) {
+    if (received.length >= count) return Promise.resolve(received.slice());
+
+    return new Promise((resolve, reject) => {
+      const waiter = { count, resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`Expected ${count} webhook(s), received ${received.length}`));
+      }, timeoutMs);
+      waiters.push(waiter);
+    });
+  }
+
+  function start() {
+    return new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          let body;
+          try {
+            body = JSON.parse(text);
+          } catch (error) {
+            body = text;
+          }
+          received.push({ path: req.url, body });
+          res.writeHead(204);
+          res.end();
+          settleWaiters();
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+  }
+
+  // Node keeps client connections alive, drop them so close() returns
+  function close() {
+    if (!server) return Promise.resolve();
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return {
+    received,
+    waitFor,
+    reset: () => { received.length = 0; },
+    start,
+    close
+  };
+}
+
+module.exports = { createWebhookReceiver };
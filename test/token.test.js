@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { fakeJwt } = require('./support/mockRaven');
+
+const PRODUCT_ID = '1001001';
+const PRODUCT_PATH = `/api/7/v2.0.0/products/${PRODUCT_ID}/`;
+const REFRESH_PATH = '/api/7/v2.0.0/customer/token/refresh/';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('access token handling', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ fixtures: ['product-sizes'] });
+  });
+
+  after(() => harness.close());
+
+  beforeEach(() => harness.reset());
+
+  function requestPaths() {
+    return harness.raven.requests.map(request => request.path);
+  }
+
+  it('refreshes the token after a 401 and retries the request', async () => {
+    const { recorded, stop } = harness.recordEvents('token.refreshed');
+    const previousCookies = harness.account.cookies;
+    harness.raven.failNext(PRODUCT_PATH, 401);
+
+    const { productInfo } = await harness.server.fetchProductDetails(PRODUCT_ID);
+    stop();
+
+    assert.equal(productInfo.title, 'Veste de ski Freeride');
+    assert.deepEqual(requestPaths(), [PRODUCT_PATH, REFRESH_PATH, PRODUCT_PATH]);
+    assert.match(harness.raven.requests[1].body, /refresh_token=test-refresh-token/);
+    assert.notEqual(harness.account.cookies, previousCookies);
+    assert.match(harness.account.cookies, /refresh_token=test-refresh-token/);
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].data.accountId, 'default');
+  });
+
+  it('refreshes a token about to expire before the request', async () => {
+    harness.account.cookies = `access_token=${fakeJwt(10)}; refresh_token=test-refresh-token`;
+
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    assert.deepEqual(requestPaths(), [REFRESH_PATH, PRODUCT_PATH]);
+  });
+
+  it('treats a malformed access token cookie as a token of unknown expiry', async () => {
+    harness.account.cookies = 'access_token=abc%zz.def.ghi; refresh_token=test-refresh-token';
+
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    assert.deepEqual(requestPaths(), [PRODUCT_PATH]);
+    const metrics = harness.server.metrics.render();
+    assert.match(metrics, /pss_token_valid\{account="[^"]+"\} 1/);
+    assert.doesNotMatch(metrics, /pss_token_expires_in_seconds\{/);
+  });
+
+  it('alerts once when the token expired and cannot be refreshed', async () => {
+    harness.reset({ refreshToken: false });
+    await harness.server.addProductToMonitoring({ productId: PRODUCT_ID, watchedSizes: ['101'] });
+
+    const { recorded, stop } = harness.recordEvents('product.error', 'token.expired');
+    harness.raven.failNext(PRODUCT_PATH, 401, { times: 2, body: { message: 'Unauthorized' } });
+
+    await assert.rejects(harness.server.checkProduct(PRODUCT_ID), /HTTP 401/);
+    const [delivery] = await harness.receiver.waitFor(1);
+    assert.equal(delivery.body.embeds[0].title, '⚠️ Token Expiré - Action Requise');
+    assert.equal(harness.account.tokenExpiredNotified, true);
+
+    // Still failing: no second alert until the token is fixed
+    await assert.rejects(harness.server.checkProduct(PRODUCT_ID), /HTTP 401/);
+    await sleep(100);
+    stop();
+
+    assert.equal(harness.receiver.received.length, 1);
+    assert.deepEqual(recorded.map(event => event.type), ['product.error', 'token.expired', 'product.error']);
+    assert.equal(requestPaths().includes(REFRESH_PATH), false);
+  });
+
+  it('alerts when the refresh itself is rejected', async () => {
+    harness.raven.setTokenRefresh(false);
+    harness.raven.failNext(PRODUCT_PATH, 401);
+
+    await assert.rejects(harness.server.fetchProductDetails(PRODUCT_ID), error => error.statusCode === 401);
+
+    const [delivery] = await harness.receiver.waitFor(1);
+    const errorField = delivery.body.embeds[0].fields.find(field => field.name === 'Erreur');
+    assert.match(errorField.value, /^Token refresh failed: HTTP 401/);
+    assert.equal(harness.account.tokenExpiredNotified, true);
+  });
+
+  it('clears the expired flag once a refresh succeeds', async () => {
+    harness.account.tokenExpiredNotified = true;
+    harness.raven.failNext(PRODUCT_PATH, 403);
+
+    await harness.server.fetchProductDetails(PRODUCT_ID);
+
+    assert.equal(harness.account.tokenExpiredNotified, false);
+  });
+});